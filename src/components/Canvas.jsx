@@ -1,4 +1,4 @@
-import { useCallback, useEffect, useState, useMemo } from 'react';
+import { useCallback, useEffect, useState, useMemo, useRef } from 'react';
 import {
   ReactFlow,
   Controls,
@@ -6,19 +6,37 @@ import {
   MiniMap,
   Background,
   BackgroundVariant,
+  useConnection,
   useReactFlow,
 } from '@xyflow/react';
 import { useStore, useTemporalStore } from '../store/useStore';
 import TaskNode from './TaskNode';
+import MilestoneNode from './MilestoneNode';
+import GroupNode from './GroupNode';
+import SubprojectNode from './SubprojectNode';
 import Toolbar from './Toolbar';
 import Sidebar from './Sidebar';
+import SelectionSummary from './SelectionSummary';
+import NextUpPanel from './NextUpPanel';
+import DependencyEditor from './DependencyEditor';
+import RedundantEdgesPanel from './RedundantEdgesPanel';
+import GanttView from './GanttView';
 import MobileTaskToolbar from './MobileTaskToolbar';
-import { findFrontierTasks } from '../utils/frontierUtils';
-import { calculateCumulativeTimes } from '../utils/timeUtils';
+import { findFrontierTasks, findProjectFrontier } from '../utils/frontierUtils';
+import { findCyclePath, findRedundantEdges, getDependency, getGraphIndex } from '../utils/graphUtils';
+import { MIN_CALIBRATION_SAMPLES, calculateCalibration, calculateCumulativeTimes, calculateSchedule, findCriticalEdges, rankFrontierTasks } from '../utils/timeUtils';
+import { scheduleToDates } from '../utils/calendarUtils';
+import { calculateLeveledSchedule } from '../utils/resourceUtils';
+import { calculateMilestoneRisks } from '../utils/milestoneUtils';
+import { COLLAPSED_GROUP_WIDTH, aggregateGroupEdges, calculateGroupRollup, getCollapsedMembers, getRollupKey } from '../utils/groupUtils';
+import { parseSubgraph } from '../utils/clipboardUtils';
 
 // Define custom node types
 const nodeTypes = {
   taskNode: TaskNode,
+  milestoneNode: MilestoneNode,
+  groupNode: GroupNode,
+  subprojectNode: SubprojectNode,
 };
 
 // Default edge options
@@ -34,6 +52,9 @@ const Canvas = () => {
   const {
     nodes,
     edges,
+    settings,
+    people,
+    groups,
     selectedNode,
     selectedNodes,
     onNodesChange,
@@ -53,8 +74,18 @@ const Canvas = () => {
     selectionMode,
     colorMode,
     setColorMode,
+    viewMode,
+    nextUpOpen,
+    setNextUpOpen,
+    nextUpDock,
+    redundantEdgesOpen,
+    setRedundantEdgesOpen,
     animationsEnabled,
-    toggleAnimations
+    toggleAnimations,
+    checkSubprojectFiles,
+    copySelection,
+    pasteSubgraph,
+    deleteNodes
   } = useStore();
 
   const undo = useTemporalStore((state) => state.undo);
@@ -106,6 +137,21 @@ const Canvas = () => {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, [saveToFile, loadFromFile, undo, redo, nodes, setSelectedNodes]);
   
+  // Last pointer position over the canvas (screen coordinates), where pastes go
+  const pointerRef = useRef(null);
+  const handlePointerMove = useCallback((e) => {
+    pointerRef.current = { x: e.clientX, y: e.clientY };
+  }, []);
+  const handlePointerLeave = useCallback(() => {
+    pointerRef.current = null;
+  }, []);
+
+  // Linked subproject files may have been edited in another tab or app meanwhile
+  useEffect(() => {
+    window.addEventListener('focus', checkSubprojectFiles);
+    return () => window.removeEventListener('focus', checkSubprojectFiles);
+  }, [checkSubprojectFiles]);
+  
   // Get React Flow instance to access viewport
   const reactFlowInstance = useReactFlow();
 
@@ -128,15 +174,16 @@ const Canvas = () => {
   // Sidebar minimize state (persists until a node is selected)
   const [sidebarMinimized, setSidebarMinimized] = useState(false);
   
-  // Reset minimize state when a node is selected
+  // Reset minimize state when a node (or a group of nodes) is selected
   useEffect(() => {
-    if (selectedNode) {
+    if (selectedNodes.length > 0) {
       setSidebarMinimized(false);
     }
-  }, [selectedNode]);
+  }, [selectedNodes]);
 
   // Stable MiniMap styling functions to prevent unnecessary re-renders
   const miniMapNodeColor = useCallback((node) => {
+    if (node.type === 'groupNode' && !node.data.collapsed) return darkMode ? 'rgba(75, 85, 99, 0.3)' : 'rgba(156, 163, 175, 0.25)';
     if (node.selected) return '#8b5cf6'; // purple-500
     if (node.data?.isFrontier) return '#f97316'; // orange-500
     switch (node.data?.status) {
@@ -163,31 +210,115 @@ const Canvas = () => {
     darkMode ? "rgba(0, 0, 0, 0.4)" : "rgba(243, 244, 246, 0.6)"
   , [darkMode]);
 
+  // Shared index of the graph (lookups by id, adjacency, ancestor sets)
+  const graphIndex = useMemo(() => getGraphIndex(nodes, edges), [nodes, edges]);
+
+  // Connection being dragged, as "source\ntarget" once it is over a node (null otherwise);
+  // a string keeps the canvas from re-rendering on every pointer move
+  const pendingConnection = useConnection((connection) => {
+    if (!connection.inProgress || !connection.toNode) return null;
+    const fromSource = connection.fromHandle?.type !== 'target';
+    const source = fromSource ? connection.fromNode.id : connection.toNode.id;
+    const target = fromSource ? connection.toNode.id : connection.fromNode.id;
+    return `${source}\n${target}`;
+  });
+
+  // Loop the dragged connection would close, previewed in red until it is dropped
+  const cyclePreview = useMemo(() => {
+    if (!pendingConnection) return null;
+    const [source, target] = pendingConnection.split('\n');
+    return findCyclePath(source, target, nodes, edges);
+  }, [pendingConnection, nodes, edges]);
+
+  // Refuse connections that would make the dependencies loop
+  const isValidConnection = useCallback(
+    (connection) => !findCyclePath(connection.source, connection.target, nodes, edges),
+    [nodes, edges]
+  );
+
+  // Tasks hidden in collapsed groups, mapped to the group drawn in their place
+  const collapsedMembers = useMemo(() => getCollapsedMembers(nodes, groups), [nodes, groups]);
+
+  // A selected group stands for all of its tasks as the goal
+  const selectedGroupId = groups.find(group => group.selected)?.id;
+  const goalIds = useMemo(
+    () => (selectedNodes.length > 0 || !selectedGroupId
+      ? selectedNodes
+      : nodes.filter(node => node.parentId === selectedGroupId).map(node => node.id)),
+    [selectedNodes, selectedGroupId, nodes]
+  );
+
   // Calculate frontier tasks for all selected nodes
+  // With nothing selected, the Next Up panel shows what can be started project-wide
   const frontierTasks = useMemo(() => {
-    if (selectedNodes.length === 0) {
-      return new Set();
+    if (goalIds.length === 0) {
+      return nextUpOpen ? findProjectFrontier(nodes, edges) : new Set();
     }
     
     const allFrontiers = new Set();
-    selectedNodes.forEach(nodeId => {
+    goalIds.forEach(nodeId => {
       const frontiers = findFrontierTasks(nodeId, nodes, edges);
       frontiers.forEach(id => allFrontiers.add(id));
     });
     return allFrontiers;
-  }, [selectedNodes, nodes, edges]);
+  }, [goalIds, nodes, edges, nextUpOpen]);
+
+  // Which frontier task to start first for the selected goal(s)
+  const frontierRanking = useMemo(
+    () => (goalIds.length > 0 ? rankFrontierTasks(new Set(goalIds), frontierTasks, nodes, edges, settings) : new Map()),
+    [goalIds, frontierTasks, nodes, edges, settings]
+  );
+
+  // Calculate cumulative times for the selection
+  // With several targets, the combined estimate is shown in the selection summary
+  const cumulativeTimes = useMemo(
+    () => calculateCumulativeTimes(new Set(goalIds), frontierTasks, nodes, edges, settings),
+    [goalIds, frontierTasks, nodes, edges, settings]
+  );
+
+  // Status counts and Σ/↓ of each group's tasks, from the task fields they read only
+  // (positions and selection don't matter, so moving a group or task doesn't recalculate)
+  const groupKey = groups.map(group => group.id).join('\n');
+  const rollupKey = getRollupKey(nodes);
+  const groupRollups = useMemo(() => {
+    const rollupNodes = JSON.parse(rollupKey);
+    return new Map(groupKey.split('\n').filter(Boolean).map(id => [id, calculateGroupRollup(id, rollupNodes, edges, settings)]));
+  }, [groupKey, rollupKey, edges, settings]);
 
-  // Calculate cumulative times only when exactly one node is selected
-  // Disabled for multi-select to maintain focus on single-target analysis
-  const cumulativeTimes = useMemo(() => {
+  // Forward/backward-pass schedule (single selection only, like times)
+  const schedule = useMemo(() => {
     if (selectedNodes.length !== 1) {
-      return new Map(); // Return empty map for multi-select
+      return new Map();
     }
-    return calculateCumulativeTimes(selectedNode, frontierTasks, nodes, edges);
-  }, [selectedNode, selectedNodes, frontierTasks, nodes, edges]);
+    return calculateSchedule(selectedNode, nodes, edges, settings);
+  }, [selectedNode, selectedNodes, nodes, edges, settings]);
+
+  // Schedule mapped onto the project calendar
+  const scheduleDates = useMemo(() => scheduleToDates(schedule, settings), [schedule, settings]);
+
+  // Resource-levelled schedule: same path, limited by who can do the work
+  const leveledSchedule = useMemo(
+    () => calculateLeveledSchedule(schedule, people, nodes, edges),
+    [schedule, people, nodes, edges]
+  );
+
+  // Forecast vs. target date for every milestone (independent of selection)
+  const milestoneRisks = useMemo(
+    () => calculateMilestoneRisks(nodes, edges, settings),
+    [nodes, edges, settings]
+  );
+
+  // Whether enough tasks are done to calibrate estimates (toggled from the time badge)
+  const calibrationAvailable = useMemo(
+    () => calculateCalibration(nodes, settings).overall.count >= MIN_CALIBRATION_SAMPLES,
+    [nodes, settings]
+  );
+
+  // Zero-float edges leading to the selected goal
+  const criticalEdges = useMemo(() => findCriticalEdges(schedule, edges), [schedule, edges]);
 
   // Sync our selectedNodes with React Flow's selection state and add frontier info
-  // Frontier info shown for all selected nodes; time info only for single selection
+  // Frontier and time info shown for all selected nodes; schedule info only for single selection
   const nodesWithSelection = useMemo(() => nodes.map((node) => {
     // Calculate z-index based on y position: nodes lower on canvas appear in front
     // Base: 100, add y position scaled down to avoid huge numbers
@@ -197,39 +328,137 @@ const Canvas = () => {
     
     return {
       ...node,
+      className: cyclePreview?.includes(node.id) ? 'cycle-preview' : undefined,
+      hidden: collapsedMembers.has(node.id),
       zIndex,
       // Note: selected state is now managed directly in the store's nodes array
       // to avoid infinite update loops with onSelectionChange.
       data: {
         ...node.data,
         isFrontier: frontierTasks.has(node.id),
+        frontierRank: frontierRanking.get(node.id),
         cumulativeTime: cumulativeTimes.get(node.id),
+        leveledTime: leveledSchedule.get(node.id)?.finish,
         showQuestionMark: cumulativeTimes.get(node.id)?.showQuestionMark || false,
+        scheduledDates: scheduleDates.get(node.id),
+        isCritical: schedule.get(node.id)?.isCritical || false,
+        milestoneRisk: milestoneRisks.get(node.id),
+        calibrationAvailable,
       },
     };
-  }), [nodes, frontierTasks, cumulativeTimes]);
+  }), [cyclePreview, nodes, collapsedMembers, frontierTasks, frontierRanking, cumulativeTimes, leveledSchedule, schedule, scheduleDates, milestoneRisks, calibrationAvailable]);
 
-  // Style edges based on source node status
-  const edgesWithStyle = edges.map((edge) => {
-    const sourceNode = nodes.find((n) => n.id === edge.source);
+  // Groups go first: React Flow needs parents before their children.
+  // Expanded groups sit behind edges; collapsed ones are summary cards sized by content.
+  const flowNodes = useMemo(() => [
+    ...groups.map(group => {
+      const collapsed = group.data.collapsed;
+      const baseZIndex = 100 + Math.floor(group.position.y / 10);
+      return {
+        ...group,
+        deletable: false,
+        zIndex: collapsed ? (group.selected ? baseZIndex + 10000 : baseZIndex) : -1,
+        width: collapsed ? COLLAPSED_GROUP_WIDTH : group.width,
+        height: collapsed ? undefined : group.height,
+        data: {
+          ...group.data,
+          rollup: groupRollups.get(group.id),
+          frontierCount: collapsed ? [...collapsedMembers].filter(([id, groupId]) => groupId === group.id && frontierTasks.has(id)).length : 0,
+        },
+      };
+    }),
+    ...nodesWithSelection,
+  ], [groups, groupRollups, collapsedMembers, frontierTasks, nodesWithSelection]);
+
+  // Dependencies implied by longer chains, highlighted while the panel listing them is open
+  const redundantEdges = useMemo(
+    () => (redundantEdgesOpen ? findRedundantEdges(nodes, edges) : new Map()),
+    [redundantEdgesOpen, nodes, edges]
+  );
+
+  // Style edges based on source node status; critical path edges are drawn in red
+  // Soft links are thin and dotted; SS/FF dependencies and lag are labelled (e.g. "SS +2d")
+  const edgesWithStyle = useMemo(() => edges.map((edge) => {
+    const sourceNode = graphIndex.nodeById.get(edge.source);
     const isDone = sourceNode?.data?.status === 'done';
     const isSomeday = sourceNode?.data?.status === 'someday';
     const isSelected = edge.selected;
+    const isCritical = criticalEdges.has(edge.id);
+    const isRedundant = redundantEdges.has(edge.id);
+    const { type, soft, lag } = getDependency(edge);
+    // Existing edges on a loop the dragged connection would close
+    const loopPosition = cyclePreview && !soft ? cyclePreview.indexOf(edge.source) : -1;
+    const isInLoopPreview = loopPosition > 0 && cyclePreview[(loopPosition + 1) % cyclePreview.length] === edge.target;
+    const label = [
+      type !== 'FS' && type,
+      lag !== 0 && `${lag > 0 ? '+' : '−'}${Math.abs(lag)}d`,
+      soft && 'soft',
+    ].filter(Boolean).join(' ');
     
     return {
       ...edge,
-      zIndex: isSelected ? 50 : 0, // Ensure edges stay below nodes (which are 100+)
-      animated: animationsEnabled && (isSelected || (!isDone && !isSomeday)),
+      zIndex: isSelected || isInLoopPreview ? 50 : (isCritical || isRedundant ? 10 : 0), // Ensure edges stay below nodes (which are 100+)
+      animated: animationsEnabled && !soft && (isSelected || (!isDone && !isSomeday)),
       style: {
-        strokeWidth: isSelected ? 3 : 2,
-        stroke: isSelected 
-          ? (darkMode ? '#c084fc' : '#a855f7') 
-          : ((isDone || isSomeday) ? '#9ca3af' : '#6366f1'),
-        opacity: isSelected ? 1 : ((isDone || isSomeday) ? 0.4 : 1),
-        strokeDasharray: !animationsEnabled || ((isDone || isSomeday) && !isSelected) ? '5,5' : undefined,
+        strokeWidth: isSelected || isCritical || isInLoopPreview || isRedundant ? 3 : (soft ? 1.5 : 2),
+        stroke: isInLoopPreview
+          ? '#dc2626'
+          : isSelected 
+            ? (darkMode ? '#c084fc' : '#a855f7') 
+            : isRedundant
+              ? '#f59e0b'
+              : (isCritical ? '#ef4444' : ((isDone || isSomeday || soft) ? '#9ca3af' : '#6366f1')),
+        opacity: isSelected || isInLoopPreview || isRedundant ? 1 : ((isDone || isSomeday) ? 0.4 : 1),
+        strokeDasharray: soft ? '1,5' : (!animationsEnabled || ((isDone || isSomeday) && !isSelected) ? '5,5' : undefined),
+        strokeLinecap: soft ? 'round' : undefined,
       },
+      label: label || undefined,
+      labelStyle: { fontSize: 10, fontWeight: 700, fill: darkMode ? '#e5e7eb' : '#374151' },
+      labelBgStyle: { fill: darkMode ? '#1f2937' : '#ffffff' },
+      labelBgPadding: [4, 2],
+      labelBgBorderRadius: 4,
     };
-  });
+  }), [edges, graphIndex, criticalEdges, redundantEdges, cyclePreview, animationsEnabled, darkMode]);
+
+  // Edges to hidden tasks are drawn once per outside task, to or from the collapsed
+  // group (labelled with how many dependencies they stand for); they can't be edited
+  const flowEdges = useMemo(() => {
+    if (collapsedMembers.size === 0) return edgesWithStyle;
+    const styledById = new Map(edgesWithStyle.map(edge => [edge.id, edge]));
+    const aggregated = aggregateGroupEdges(edges, collapsedMembers).map(({ id, source, target, edgeIds }) => {
+      const parts = edgeIds.map(edgeId => styledById.get(edgeId));
+      const isCritical = parts.some(edge => criticalEdges.has(edge.id));
+      const soft = parts.every(edge => getDependency(edge).soft);
+      const faded = parts.every(edge => edge.style.opacity < 1);
+      return {
+        id,
+        source,
+        target,
+        selectable: false,
+        deletable: false,
+        focusable: false,
+        zIndex: isCritical ? 10 : 0,
+        animated: animationsEnabled && !soft && !faded,
+        style: {
+          strokeWidth: isCritical ? 3 : (soft ? 1.5 : 2),
+          stroke: isCritical ? '#ef4444' : ((faded || soft) ? '#9ca3af' : '#6366f1'),
+          opacity: faded ? 0.4 : 1,
+          strokeDasharray: soft ? '1,5' : (!animationsEnabled || faded ? '5,5' : undefined),
+          strokeLinecap: soft ? 'round' : undefined,
+        },
+        label: edgeIds.length > 1 ? `×${edgeIds.length}` : undefined,
+        labelStyle: { fontSize: 10, fontWeight: 700, fill: darkMode ? '#e5e7eb' : '#374151' },
+        labelBgStyle: { fill: darkMode ? '#1f2937' : '#ffffff' },
+        labelBgPadding: [4, 2],
+        labelBgBorderRadius: 4,
+      };
+    });
+    return [...edgesWithStyle, ...aggregated];
+  }, [edges, edgesWithStyle, collapsedMembers, criticalEdges, animationsEnabled, darkMode]);
+
+  // A single selected edge can be edited (type, lag, soft)
+  const selectedEdges = edges.filter(edge => edge.selected);
+  const editedEdge = selectedEdges.length === 1 && selectedNodes.length === 0 ? selectedEdges[0] : null;
 
   // Get center of current viewport for adding new tasks
   const getViewportCenter = useCallback(() => {
@@ -255,6 +484,46 @@ const Canvas = () => {
     return { x: flowX, y: flowY };
   }, [reactFlowInstance]);
 
+  // Copy/cut/paste of the selected subgraph (Ctrl/Cmd+C, X, V) through the system
+  // clipboard, so it works between tabs and files; text fields keep their own clipboard
+  useEffect(() => {
+    const isEditingText = (e) => (
+      e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.isContentEditable ||
+      Boolean(window.getSelection()?.toString())
+    );
+
+    const handleCopy = (e) => {
+      if (isEditingText(e) || viewMode !== 'graph') return;
+      const text = copySelection();
+      if (!text) return;
+      e.preventDefault();
+      e.clipboardData.setData('text/plain', text);
+      if (e.type === 'cut') {
+        deleteNodes(selectedNodes);
+      }
+    };
+
+    const handlePaste = (e) => {
+      if (isEditingText(e) || viewMode !== 'graph') return;
+      const clip = parseSubgraph(e.clipboardData.getData('text/plain'));
+      if (!clip) return;
+      e.preventDefault();
+      const position = pointerRef.current
+        ? reactFlowInstance.screenToFlowPosition(pointerRef.current)
+        : getViewportCenter();
+      pasteSubgraph(clip, position);
+    };
+
+    window.addEventListener('copy', handleCopy);
+    window.addEventListener('cut', handleCopy);
+    window.addEventListener('paste', handlePaste);
+    return () => {
+      window.removeEventListener('copy', handleCopy);
+      window.removeEventListener('cut', handleCopy);
+      window.removeEventListener('paste', handlePaste);
+    };
+  }, [copySelection, pasteSubgraph, deleteNodes, selectedNodes, viewMode, reactFlowInstance, getViewportCenter]);
+
   // Handle double-click to add new task
   const handlePaneDoubleClick = useCallback(
     (event) => {
@@ -285,6 +554,8 @@ const Canvas = () => {
   // Support Cmd+Click (Mac) or Ctrl+Click (Windows) for multi-select
   const handleNodeClick = useCallback(
     (event, node) => {
+      // Groups are selected by React Flow itself; they are never in selectedNodes
+      if (node.type === 'groupNode') return;
       const isMultiSelectKey = event.metaKey || event.ctrlKey;
       
       if (isMultiSelectKey) {
@@ -307,15 +578,19 @@ const Canvas = () => {
 
   return (
     <div className={`flex h-dvh w-full ${selectionMode === 'select' ? 'selection-mode' : 'pan-mode'}`}>
+      {/* Next Up panel, docked on either side of the canvas */}
+      {nextUpOpen && nextUpDock === 'left' && <NextUpPanel onClose={() => setNextUpOpen(false)} />}
+
       {/* Main Canvas */}
-      <div className="flex-1 relative">
-        <Toolbar getViewportCenter={getViewportCenter} />
+      <div className="flex-1 relative" onPointerMove={handlePointerMove} onPointerLeave={handlePointerLeave}>
+        <Toolbar getViewportCenter={getViewportCenter} milestoneRisks={milestoneRisks} />
         <ReactFlow
-          nodes={nodesWithSelection}
-          edges={edgesWithStyle}
+          nodes={flowNodes}
+          edges={flowEdges}
           onNodesChange={onNodesChange}
           onEdgesChange={onEdgesChange}
           onConnect={onConnect}
+          isValidConnection={isValidConnection}
           onPaneClick={handlePaneClick}
           onEdgeClick={handleEdgeClick}
           onNodeClick={handleNodeClick}
@@ -421,13 +696,44 @@ const Canvas = () => {
             />
           )}
         </ReactFlow>
+
+        {viewMode === 'graph' && editedEdge && <DependencyEditor key={editedEdge.id} edge={editedEdge} />}
+
+        {viewMode === 'graph' && redundantEdgesOpen && (
+          <RedundantEdgesPanel redundantEdges={redundantEdges} onClose={() => setRedundantEdgesOpen(false)} />
+        )}
+
+        {/* Warning while a dragged connection would close a loop */}
+        {cyclePreview && (
+          <div className="absolute top-20 left-1/2 -translate-x-1/2 z-30 max-w-md px-4 py-2.5 rounded-xl shadow-2xl bg-red-600 text-white text-xs font-bold pointer-events-none">
+            Can't connect: this would create a loop ({[...cyclePreview, cyclePreview[0]].map(id => graphIndex.nodeById.get(id)?.data.title || 'Untitled Task').join(' → ')})
+          </div>
+        )}
+
+        {/* Gantt timeline shares the store (and selection) with the graph */}
+        {viewMode === 'gantt' && <GanttView schedule={schedule} />}
       </div>
 
-      {/* Sidebar - show by default unless minimized or multi-select */}
+      {/* Sidebar - show by default unless minimized; multi-select shows the combined summary */}
       {!sidebarMinimized && selectedNodes.length <= 1 && (
-        <Sidebar onMinimize={() => setSidebarMinimized(true)} />
+        <Sidebar
+          onMinimize={() => setSidebarMinimized(true)}
+          schedule={schedule}
+          scheduledDates={scheduleDates.get(selectedNode)}
+          milestoneRisk={milestoneRisks.get(selectedNode)}
+          cumulativeTime={cumulativeTimes.get(selectedNode)}
+          frontierRanking={frontierRanking}
+        />
+      )}
+      {!sidebarMinimized && selectedNodes.length > 1 && (
+        <SelectionSummary
+          onMinimize={() => setSidebarMinimized(true)}
+          cumulativeTimes={cumulativeTimes}
+        />
       )}
 
+      {nextUpOpen && nextUpDock === 'right' && <NextUpPanel onClose={() => setNextUpOpen(false)} />}
+
       {/* Mobile-only task action bar */}
       <MobileTaskToolbar />
     </div>
@@ -0,0 +1,77 @@
+import { useMemo } from 'react';
+import { useStore } from '../store/useStore';
+import { findCycles } from '../utils/graphUtils';
+
+// Lists dependency cycles (e.g. from a loaded file) and removes the edge the user picks
+const CycleReport = ({ isOpen, onClose }) => {
+  const { nodes, edges, onEdgesChange } = useStore();
+
+  const cycles = useMemo(() => (isOpen ? findCycles(nodes, edges) : []), [isOpen, nodes, edges]);
+
+  if (!isOpen) return null;
+
+  const titleOf = (id) => nodes.find(n => n.id === id)?.data.title || 'Untitled Task';
+  const edgeById = new Map(edges.map(edge => [edge.id, edge]));
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col overflow-hidden border border-white/20 dark:border-gray-700">
+        {/* Header */}
+        <div className="px-6 py-5 border-b border-gray-100 dark:border-gray-700 flex items-center justify-between bg-gray-50/50 dark:bg-gray-800/50">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100 tracking-tight">Dependency Cycles</h2>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-800 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-all active:scale-90"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {cycles.length === 0 ? (
+            <p className="text-center py-4 text-sm text-gray-400 dark:text-gray-500 italic">No cycles. Every dependency chain has a start.</p>
+          ) : (
+            <>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Tasks on a loop can never become ready, and times through them are incomplete. Remove one dependency from each loop to break it.
+              </p>
+              {cycles.map((cycle, cycleIndex) => (
+                <div key={cycle.nodeIds.join()} className="space-y-2">
+                  <h3 className="text-xs font-bold text-gray-400 dark:text-gray-500 uppercase tracking-widest">
+                    Cycle {cycleIndex + 1} · {cycle.nodeIds.length} {cycle.nodeIds.length === 1 ? 'task' : 'tasks'}
+                  </h3>
+                  <p className="text-sm font-bold text-red-600 dark:text-red-400">
+                    {[...cycle.loop, cycle.loop[0]].map(titleOf).join(' → ')}
+                  </p>
+                  <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl border border-gray-100 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700 overflow-hidden">
+                    {cycle.edgeIds.map(edgeId => {
+                      const edge = edgeById.get(edgeId);
+                      return (
+                        <div key={edgeId} className="flex items-center justify-between gap-2 px-3 py-2">
+                          <span className="text-xs font-bold text-gray-700 dark:text-gray-300 truncate">
+                            {titleOf(edge.source)} → {titleOf(edge.target)}
+                          </span>
+                          <button
+                            onClick={() => onEdgesChange([{ type: 'remove', id: edgeId }])}
+                            className="flex-shrink-0 text-[10px] px-2 py-1 rounded-lg font-bold uppercase text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors"
+                            title="Remove this dependency"
+                          >
+                            Break
+                          </button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CycleReport;
@@ -0,0 +1,113 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useStore } from '../store/useStore';
+import { DEPENDENCY_TYPES, findCyclePath, getDependency } from '../utils/graphUtils';
+
+// Floating editor for the selected edge: dependency type, soft link and lag
+const DependencyEditor = ({ edge }) => {
+  const { nodes, edges, updateEdge, onEdgesChange } = useStore();
+  const dependency = getDependency(edge);
+  // Soft links aren't dependencies, so making one hard could close a loop
+  const hardWouldLoop = dependency.soft && Boolean(findCyclePath(edge.source, edge.target, nodes, edges));
+  const titleOf = (id) => nodes.find(n => n.id === id)?.data.title || 'Untitled Task';
+
+  // Lag is typed into local state and saved on blur (or when the editor closes), so
+  // typing "-1.5" is one undo step and a half-typed "-" is never stored
+  const [lag, setLag] = useState(edge.data?.lag ?? '');
+  const typedLagRef = useRef(null);
+
+  const saveLag = useCallback(() => {
+    if (typedLagRef.current === null) return;
+    const value = typedLagRef.current === '' ? null : parseFloat(typedLagRef.current);
+    typedLagRef.current = null;
+    if (Number.isNaN(value) || value === (edge.data?.lag ?? null)) return;
+    updateEdge(edge.id, { lag: value });
+  }, [edge, updateEdge]);
+
+  // Flush a typed lag before the edge changes or the editor closes
+  useEffect(() => saveLag, [saveLag]);
+
+  const handleLagChange = (e) => {
+    setLag(e.target.value);
+    // An unfinished number like "-" reads as empty; keep the saved lag for it
+    typedLagRef.current = e.target.validity.badInput ? null : e.target.value;
+  };
+
+  const handleLagBlur = (e) => {
+    const unfinished = e.target.validity.badInput;
+    saveLag();
+    if (unfinished) setLag(edge.data?.lag ?? '');
+  };
+
+  return (
+    <div className="absolute top-20 left-1/2 -translate-x-1/2 z-30 w-80 bg-white dark:bg-gray-800 rounded-2xl shadow-2xl border border-gray-200 dark:border-gray-700 p-4 space-y-3">
+      <div className="flex items-center justify-between gap-2">
+        <h3 className="text-xs font-bold text-gray-900 dark:text-gray-100 truncate" title={`${titleOf(edge.source)} → ${titleOf(edge.target)}`}>
+          {titleOf(edge.source)} → {titleOf(edge.target)}
+        </h3>
+        <button
+          onClick={() => onEdgesChange([{ type: 'remove', id: edge.id }])}
+          className="flex-shrink-0 text-[10px] font-bold uppercase text-red-500 hover:text-red-700 dark:hover:text-red-300"
+          title="Delete dependency"
+        >
+          Delete
+        </button>
+      </div>
+
+      {/* Type */}
+      <div className="flex bg-gray-50 dark:bg-gray-700 p-1 rounded-xl border border-gray-200 dark:border-gray-700 shadow-inner">
+        {Object.entries(DEPENDENCY_TYPES).map(([type, { label, hint }]) => (
+          <button
+            key={type}
+            type="button"
+            onClick={() => updateEdge(edge.id, { type })}
+            title={`${label}: ${hint}`}
+            className={`flex-1 py-1.5 text-[11px] font-bold uppercase tracking-tight rounded-xl transition-all active:scale-95 ${
+              dependency.type === type
+                ? 'bg-white dark:bg-gray-600 text-blue-600 dark:text-blue-300 shadow-sm border border-blue-100 dark:border-blue-900/50'
+                : 'text-gray-400 dark:text-gray-600 hover:text-gray-600 dark:hover:text-gray-400'
+            }`}
+          >
+            {type}
+          </button>
+        ))}
+      </div>
+      <p className="text-[11px] text-gray-500 dark:text-gray-400">{DEPENDENCY_TYPES[dependency.type].hint}.</p>
+
+      {/* Lag and soft link */}
+      <div className="flex items-center gap-3">
+        <label className="flex items-center gap-2 text-xs font-bold text-gray-600 dark:text-gray-300">
+          Lag
+          <input
+            type="number"
+            value={lag}
+            onChange={handleLagChange}
+            onBlur={handleLagBlur}
+            onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+            step="0.5"
+            placeholder="0"
+            className="w-20 px-2 py-1 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none text-sm font-bold text-gray-800 dark:text-gray-100"
+            title="Working days added to the dependency (negative = lead)"
+          />
+          <span className="font-medium text-gray-400 dark:text-gray-500">days</span>
+        </label>
+        <label
+          className={`ml-auto flex items-center gap-2 text-xs font-bold text-gray-600 dark:text-gray-300 ${hardWouldLoop ? 'opacity-50' : 'cursor-pointer'}`}
+          title={hardWouldLoop
+            ? 'Must stay soft: as a hard dependency it would create a loop'
+            : 'Nice to have first: drawn, but never blocks the frontier or delays the schedule'}
+        >
+          <input
+            type="checkbox"
+            checked={dependency.soft}
+            disabled={hardWouldLoop}
+            onChange={(e) => updateEdge(edge.id, { soft: e.target.checked })}
+            className="w-4 h-4 accent-blue-600 cursor-pointer disabled:cursor-not-allowed"
+          />
+          Soft
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default DependencyEditor;
@@ -0,0 +1,129 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useStore } from '../store/useStore';
+import { buildSimulationModel } from '../utils/monteCarloUtils';
+import { formatTime } from '../utils/timeUtils';
+import { formatDate, getWorkingDate, toISODate } from '../utils/calendarUtils';
+
+const ITERATIONS = 5000;
+const CHART_WIDTH = 256;
+const CHART_HEIGHT = 72;
+
+const ForecastPanel = ({ schedule, goalId }) => {
+  const nodes = useStore((state) => state.nodes);
+  const edges = useStore((state) => state.edges);
+  const settings = useStore((state) => state.settings);
+
+  const model = useMemo(
+    () => buildSimulationModel(schedule, goalId, nodes, edges, settings),
+    [schedule, goalId, nodes, edges, settings]
+  );
+
+  // Latest result, tagged with the model it was computed for
+  const [result, setResult] = useState(null);
+  const workerRef = useRef(null);
+  const requestIdRef = useRef(0);
+  const requestedModelRef = useRef(null);
+
+  // One worker per panel; replies for superseded requests are dropped
+  useEffect(() => {
+    const worker = new Worker(new URL('../workers/forecastWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => {
+      if (event.data.requestId === requestIdRef.current) {
+        setResult({ model: requestedModelRef.current, summary: event.data.summary });
+      }
+    };
+    workerRef.current = worker;
+    return () => worker.terminate();
+  }, []);
+
+  // Debounce so rapid edits only trigger one simulation
+  useEffect(() => {
+    if (!model) return;
+    const timer = setTimeout(() => {
+      requestIdRef.current += 1;
+      requestedModelRef.current = model;
+      workerRef.current?.postMessage({ requestId: requestIdRef.current, model, iterations: ITERATIONS });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [model]);
+
+  if (!model) return null;
+
+  const isStale = result?.model !== model;
+  const summary = result?.summary;
+
+  const finishDateFor = (days) => {
+    const date = getWorkingDate(Math.max(0, Math.ceil(days) - 1), settings);
+    return date ? formatDate(toISODate(date)) : null;
+  };
+
+  const maxCount = summary ? Math.max(...summary.bins.map(bin => bin.count)) : 0;
+  const barWidth = summary ? CHART_WIDTH / summary.bins.length : 0;
+  const cdfPoints = summary
+    ? summary.bins.map((bin, i) => `${(i + 1) * barWidth},${CHART_HEIGHT * (1 - bin.cumulative)}`).join(' ')
+    : '';
+
+  return (
+    <div className="space-y-1.5">
+      <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+        Forecast
+      </label>
+      <div className={`bg-gray-50 dark:bg-gray-800 rounded-xl p-3 border border-gray-100 dark:border-gray-700 space-y-3 transition-opacity ${isStale ? 'opacity-50' : ''}`}>
+        {!summary ? (
+          <p className="text-xs text-gray-400 dark:text-gray-500 italic">Simulating…</p>
+        ) : (
+          <>
+            <p className="text-sm font-bold text-gray-900 dark:text-gray-100">
+              85% chance done within {formatTime(summary.percentiles[85], settings)}
+              {finishDateFor(summary.percentiles[85]) && (
+                <span className="text-gray-500 dark:text-gray-400 font-medium"> (by {finishDateFor(summary.percentiles[85])})</span>
+              )}
+            </p>
+
+            {/* Histogram (bars) with cumulative probability (line) */}
+            <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-18" preserveAspectRatio="none">
+              {summary.bins.map((bin, i) => {
+                const height = maxCount ? (bin.count / maxCount) * CHART_HEIGHT : 0;
+                return (
+                  <rect
+                    key={i}
+                    x={i * barWidth + 0.5}
+                    y={CHART_HEIGHT - height}
+                    width={Math.max(barWidth - 1, 1)}
+                    height={height}
+                    className="fill-blue-300 dark:fill-blue-700"
+                  >
+                    <title>{`${formatTime(bin.from, settings) || '0 days'} – ${formatTime(bin.to, settings)}: ${Math.round(bin.cumulative * 100)}% done`}</title>
+                  </rect>
+                );
+              })}
+              <polyline
+                points={`0,${CHART_HEIGHT} ${cdfPoints}`}
+                fill="none"
+                strokeWidth="2"
+                vectorEffect="non-scaling-stroke"
+                className="stroke-orange-500"
+              />
+            </svg>
+            <div className="flex justify-between text-[10px] font-bold text-gray-400 dark:text-gray-500">
+              <span>{formatTime(summary.min, settings)}</span>
+              <span>{formatTime(summary.max, settings)}</span>
+            </div>
+
+            <div className="grid grid-cols-3 gap-2">
+              {[50, 85, 95].map(percentile => (
+                <div key={percentile} className="flex flex-col">
+                  <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">P{percentile}</span>
+                  <span className="text-xs font-bold text-gray-900 dark:text-gray-100">{formatTime(summary.percentiles[percentile], settings)}</span>
+                </div>
+              ))}
+            </div>
+            <p className="text-[10px] text-gray-400 dark:text-gray-500">{summary.iterations.toLocaleString()} simulated runs</p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ForecastPanel;
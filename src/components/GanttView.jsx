@@ -0,0 +1,255 @@
+import { useMemo, useState } from 'react';
+import { useStore } from '../store/useStore';
+import { calculateProjectSchedule, formatTime, getEstimateForDuration, isMilestone, isSubproject } from '../utils/timeUtils';
+import { formatDate, getWorkingDayOffset, listWorkingDates, parseISODate } from '../utils/calendarUtils';
+import { getDependency, getGraphIndex } from '../utils/graphUtils';
+
+const ROW_HEIGHT = 36;
+const HEADER_HEIGHT = 40;
+const DAY_WIDTH = 32;
+const LABEL_WIDTH = 240;
+const BAR_HEIGHT = 20;
+const MIN_DAYS = 20;
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const barColors = {
+  'todo': 'bg-gray-400 dark:bg-gray-500',
+  'in-progress': 'bg-blue-500',
+};
+
+const GanttView = ({ schedule: goalSchedule }) => {
+  const { nodes, edges, settings, selectedNodes, setSelectedNode, setSelectedNodes, updateTask } = useStore();
+
+  // Bar being resized: { id, startX, originalDuration, duration, factor }
+  const [resize, setResize] = useState(null);
+
+  const projectSchedule = useMemo(
+    () => calculateProjectSchedule(nodes, edges, settings),
+    [nodes, edges, settings]
+  );
+
+  // Rows in dependency order: earliest start first
+  const rows = useMemo(() => [...projectSchedule.entries()]
+    .map(([id, entry]) => ({ id, ...entry, node: getGraphIndex(nodes, edges).nodeById.get(id) }))
+    .sort((a, b) => a.earlyStart - b.earlyStart
+      || a.earlyFinish - b.earlyFinish
+      || (a.node.data.title || '').localeCompare(b.node.data.title || '')),
+  [projectSchedule, nodes, edges]);
+
+  const rowIndex = useMemo(() => new Map(rows.map((row, index) => [row.id, index])), [rows]);
+
+  const todayOffset = getWorkingDayOffset(new Date(), settings);
+  const lastFinish = Math.max(0, ...rows.map(row => row.earlyFinish));
+  const dayCount = Math.max(MIN_DAYS, Math.ceil(lastFinish) + 2, (todayOffset ?? 0) + 2);
+  const dates = useMemo(() => listWorkingDates(dayCount, settings), [dayCount, settings]);
+
+  const hiddenCount = nodes.length - rows.length;
+  const timelineWidth = dayCount * DAY_WIDTH;
+  const bodyHeight = rows.length * ROW_HEIGHT;
+
+  const getDuration = (row) => (resize?.id === row.id ? resize.duration : row.duration);
+
+  const handleSelect = (event, id) => {
+    if (event.metaKey || event.ctrlKey) {
+      setSelectedNodes(selectedNodes.includes(id)
+        ? selectedNodes.filter(nodeId => nodeId !== id)
+        : [...selectedNodes, id]);
+    } else {
+      setSelectedNode(id);
+    }
+  };
+
+  // Drag the right edge of a bar to change its duration (committed once on release)
+  const handleResizeStart = (event, row) => {
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    setResize({ id: row.id, startX: event.clientX, originalDuration: row.duration, duration: row.duration, factor: row.factor });
+  };
+
+  const handleResizeMove = (event) => {
+    if (!resize) return;
+    const node = nodes.find(n => n.id === resize.id);
+    const step = node.data.estimatedTimeUnit === 'hours' ? 1 / (settings.hoursPerDay || 8) : 0.5;
+    const raw = resize.originalDuration + (event.clientX - resize.startX) / DAY_WIDTH;
+    setResize({ ...resize, duration: Math.max(step, Math.round(raw / step) * step) });
+  };
+
+  const handleResizeEnd = () => {
+    if (!resize) return;
+    if (resize.duration !== resize.originalDuration) {
+      const node = nodes.find(n => n.id === resize.id);
+      // Bars show calibrated durations; the estimate is stored before calibration
+      updateTask(resize.id, getEstimateForDuration(node.data, resize.duration / resize.factor, settings));
+    }
+    setResize(null);
+  };
+
+  return (
+    <div className="absolute inset-0 z-[5] bg-white dark:bg-gray-900 pt-20 flex flex-col">
+      {rows.length === 0 ? (
+        <p className="m-auto text-sm text-gray-400 dark:text-gray-500 italic">No pending tasks to schedule.</p>
+      ) : (
+        <div className="flex-1 overflow-auto">
+          <div className="relative" style={{ width: LABEL_WIDTH + timelineWidth, height: HEADER_HEIGHT + bodyHeight }}>
+            {/* Header: one column per working day */}
+            <div className="sticky top-0 z-20 flex bg-white dark:bg-gray-900 border-b border-gray-200 dark:border-gray-700" style={{ height: HEADER_HEIGHT }}>
+              <div className="sticky left-0 z-10 flex items-end px-4 pb-2 bg-white dark:bg-gray-900 border-r border-gray-200 dark:border-gray-700 text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider" style={{ width: LABEL_WIDTH, flexShrink: 0 }}>
+                Task
+              </div>
+              {dates.map((date, index) => {
+                const day = parseISODate(date);
+                const previous = index > 0 ? parseISODate(dates[index - 1]) : null;
+                // Label the first working day of each week (and the first column)
+                const startsWeek = !previous || day.getDay() <= previous.getDay() || day - previous >= WEEK_MS;
+                return (
+                  <div key={date} className="relative flex-shrink-0 border-l border-gray-100 dark:border-gray-800" style={{ width: DAY_WIDTH }}>
+                    {startsWeek && (
+                      <span className="absolute top-1 left-1 whitespace-nowrap text-[10px] font-bold text-gray-500 dark:text-gray-400">{formatDate(date)}</span>
+                    )}
+                    <span className="absolute bottom-1 inset-x-0 text-center text-[10px] text-gray-400 dark:text-gray-500">{date.slice(8)}</span>
+                  </div>
+                );
+              })}
+            </div>
+
+            {/* Rows */}
+            {rows.map(row => {
+              const isSelected = selectedNodes.includes(row.id);
+              const isCritical = goalSchedule?.get(row.id)?.isCritical;
+              const duration = getDuration(row);
+              return (
+                <div
+                  key={row.id}
+                  className={`flex border-b border-gray-100 dark:border-gray-800 ${isSelected ? 'bg-purple-50 dark:bg-purple-900/20' : ''}`}
+                  style={{ height: ROW_HEIGHT }}
+                >
+                  <button
+                    type="button"
+                    onClick={(e) => handleSelect(e, row.id)}
+                    className={`sticky left-0 z-10 flex items-center gap-2 px-4 text-left border-r border-gray-200 dark:border-gray-700 ${
+                      isSelected ? 'bg-purple-50 dark:bg-gray-800' : 'bg-white dark:bg-gray-900 hover:bg-gray-50 dark:hover:bg-gray-800'
+                    }`}
+                    style={{ width: LABEL_WIDTH, flexShrink: 0 }}
+                  >
+                    <span className="flex-1 min-w-0 truncate text-xs font-bold text-gray-800 dark:text-gray-200">{row.node.data.title || 'Untitled Task'}</span>
+                    <span className="flex-shrink-0 text-[10px] font-bold text-gray-400 dark:text-gray-500">
+                      {isMilestone(row.node) ? '◆' : row.estimated || row.assumed ? `${row.estimated ? '' : '≈ '}${formatTime(duration, settings) || '0 days'}` : '?'}
+                    </span>
+                  </button>
+                  <div className="relative flex-shrink-0" style={{ width: timelineWidth }}>
+                    {isMilestone(row.node) ? (
+                      // Milestones have no duration: a diamond at their arrival
+                      <div
+                        onClick={(e) => handleSelect(e, row.id)}
+                        className={`absolute rotate-45 rounded-[3px] cursor-pointer shadow-sm bg-indigo-500 dark:bg-indigo-400 ${
+                          isSelected ? 'ring-2 ring-purple-500 ring-offset-1 ring-offset-white dark:ring-offset-gray-900' : ''
+                        }`}
+                        style={{
+                          left: row.earlyFinish * DAY_WIDTH - BAR_HEIGHT * 0.35,
+                          width: BAR_HEIGHT * 0.7,
+                          height: BAR_HEIGHT * 0.7,
+                          top: (ROW_HEIGHT - BAR_HEIGHT * 0.7) / 2,
+                        }}
+                        title={row.node.data.targetDate ? `Target ${formatDate(row.node.data.targetDate, true)}` : undefined}
+                      />
+                    ) : (
+                    <div
+                      onClick={(e) => handleSelect(e, row.id)}
+                      title={isSubproject(row.node)
+                        ? 'Remaining time comes from the linked file'
+                        : row.estimated ? undefined : `No estimate yet${row.assumed ? ' (assumed)' : ''}: drag the right edge to add one`}
+                      className={`absolute rounded-md cursor-pointer shadow-sm transition-shadow ${
+                        row.estimated ? barColors[row.node.data.status] : 'border-2 border-dashed border-gray-400 dark:border-gray-500'
+                      } ${isSelected ? 'ring-2 ring-purple-500 ring-offset-1 ring-offset-white dark:ring-offset-gray-900' : ''} ${
+                        isCritical && !isSelected ? 'ring-2 ring-red-500' : ''
+                      }`}
+                      style={{
+                        left: row.earlyStart * DAY_WIDTH,
+                        width: Math.max(duration * DAY_WIDTH, 8),
+                        top: (ROW_HEIGHT - BAR_HEIGHT) / 2,
+                        height: BAR_HEIGHT,
+                      }}
+                    >
+                      {/* Resize handle (a subproject's estimate is read from its file) */}
+                      {!isSubproject(row.node) && (
+                        <div
+                          onPointerDown={(e) => handleResizeStart(e, row)}
+                          onPointerMove={handleResizeMove}
+                          onPointerUp={handleResizeEnd}
+                          onClick={(e) => e.stopPropagation()}
+                          className="absolute -right-1 top-0 bottom-0 w-2.5 cursor-ew-resize rounded-r-md hover:bg-black/20 dark:hover:bg-white/30"
+                          title="Drag to change the estimate"
+                        />
+                      )}
+                    </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+
+            {/* Dependency arrows and today marker */}
+            <svg
+              className="absolute pointer-events-none"
+              style={{ left: LABEL_WIDTH, top: HEADER_HEIGHT }}
+              width={timelineWidth}
+              height={bodyHeight}
+            >
+              <defs>
+                <marker id="gantt-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                  <path d="M 0 0 L 10 5 L 0 10 z" className="fill-indigo-500" />
+                </marker>
+              </defs>
+              {edges.map(edge => {
+                if (!rowIndex.has(edge.source) || !rowIndex.has(edge.target)) return null;
+                const source = rows[rowIndex.get(edge.source)];
+                const target = rows[rowIndex.get(edge.target)];
+                const { type, soft } = getDependency(edge);
+                // Arrows join the ends the dependency links: start-to-start leaves the source's
+                // start, finish-to-finish enters the target's end
+                const x1 = (type === 'SS' ? source.earlyStart : source.earlyStart + getDuration(source)) * DAY_WIDTH;
+                const y1 = rowIndex.get(edge.source) * ROW_HEIGHT + ROW_HEIGHT / 2;
+                const x2 = (type === 'FF' ? target.earlyStart + getDuration(target) : target.earlyStart) * DAY_WIDTH;
+                const y2 = rowIndex.get(edge.target) * ROW_HEIGHT + ROW_HEIGHT / 2;
+                // Leave the source sideways, travel along the row boundary, enter the target from the side
+                const yTurn = y2 > y1 ? y2 - ROW_HEIGHT / 2 : y2 + ROW_HEIGHT / 2;
+                const exit = type === 'SS' ? -6 : 6;
+                const approach = type === 'FF' ? x2 + 8 : x2 - 8;
+                return (
+                  <path
+                    key={edge.id}
+                    d={`M ${x1} ${y1} h ${exit} V ${yTurn} H ${approach} V ${y2} H ${x2}`}
+                    fill="none"
+                    strokeWidth="1.5"
+                    strokeDasharray={soft ? '2,4' : undefined}
+                    markerEnd="url(#gantt-arrow)"
+                    className={`stroke-indigo-500 ${soft ? 'opacity-40' : 'opacity-70'}`}
+                  />
+                );
+              })}
+              {todayOffset !== null && todayOffset < dayCount && (
+                <line
+                  x1={todayOffset * DAY_WIDTH}
+                  x2={todayOffset * DAY_WIDTH}
+                  y1={0}
+                  y2={bodyHeight}
+                  strokeWidth="2"
+                  strokeDasharray="4,3"
+                  className="stroke-orange-500"
+                />
+              )}
+            </svg>
+          </div>
+        </div>
+      )}
+
+      {hiddenCount > 0 && (
+        <p className="px-4 py-2 border-t border-gray-200 dark:border-gray-700 text-[11px] text-gray-400 dark:text-gray-500">
+          {hiddenCount} done or someday {hiddenCount === 1 ? 'task is' : 'tasks are'} not shown.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default GanttView;
@@ -0,0 +1,143 @@
+import { memo } from 'react';
+import { Handle, NodeResizer, Position } from '@xyflow/react';
+import { useStore } from '../store/useStore';
+import { formatTimeRange } from '../utils/timeUtils';
+
+const STATUS_COUNTS = [
+  { status: 'done', label: 'done', dot: 'bg-green-500' },
+  { status: 'in-progress', label: 'in progress', dot: 'bg-blue-500' },
+  { status: 'todo', label: 'to do', dot: 'bg-gray-400' },
+  { status: 'someday', label: 'someday', dot: 'bg-gray-300 dark:bg-gray-600' },
+];
+
+// Group (epic) container; collapsed, it stands in for its tasks as one summary node
+const GroupNode = ({ id, data, selected }) => {
+  const updateGroup = useStore((state) => state.updateGroup);
+  const ungroup = useStore((state) => state.ungroup);
+  const onNodeDragStart = useStore((state) => state.onNodeDragStart);
+  const onNodeDragStop = useStore((state) => state.onNodeDragStop);
+  const settings = useStore((state) => state.settings);
+
+  const { counts, childIds, time } = data.rollup;
+  // Frontier tasks of the current selection hidden inside the collapsed group
+  const readyCount = data.frontierCount;
+  const timeRows = time && time.min !== null ? [
+    { symbol: 'Σ', days: time.sum, variance: time.sumVariance },
+    { symbol: '↓', days: time.min, variance: time.minVariance },
+  ] : [];
+
+  const handleToggle = (e) => {
+    e.stopPropagation();
+    updateGroup(id, { collapsed: !data.collapsed });
+  };
+
+  const handleUngroup = (e) => {
+    e.stopPropagation();
+    ungroup(id);
+  };
+
+  const header = (
+    <div className="flex items-center gap-1.5">
+      <button
+        onClick={handleToggle}
+        className="nodrag flex-shrink-0 p-0.5 rounded text-gray-500 hover:text-gray-800 dark:hover:text-gray-200 hover:bg-black/5 dark:hover:bg-white/10"
+        title={data.collapsed ? 'Expand group' : 'Collapse group'}
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className={`h-4 w-4 transition-transform ${data.collapsed ? '-rotate-90' : ''}`} viewBox="0 0 20 20" fill="currentColor">
+          <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
+        </svg>
+      </button>
+      <input
+        value={data.title}
+        onChange={(e) => updateGroup(id, { title: e.target.value })}
+        placeholder="Untitled Group"
+        className="nodrag flex-1 min-w-0 bg-transparent outline-none font-bold text-[13px] text-gray-800 dark:text-gray-100 placeholder-gray-400"
+      />
+      <span className="flex-shrink-0 text-[10px] font-bold text-gray-400 dark:text-gray-500">
+        {childIds.length} {childIds.length === 1 ? 'task' : 'tasks'}
+      </span>
+      <button
+        onClick={handleUngroup}
+        className="nodrag flex-shrink-0 text-[10px] font-bold uppercase text-gray-400 hover:text-red-500 opacity-0 group-hover:opacity-100 transition-opacity"
+        title="Ungroup (keeps the tasks)"
+      >
+        Ungroup
+      </button>
+    </div>
+  );
+
+  // Status counts of the children
+  const statusRow = (
+    <div className="flex flex-wrap items-center gap-x-2.5 gap-y-1 text-[10px] font-bold text-gray-500 dark:text-gray-400">
+      {STATUS_COUNTS.filter(({ status }) => counts[status] > 0).map(({ status, label, dot }) => (
+        <span key={status} className="flex items-center gap-1">
+          <span className={`w-2 h-2 rounded-full ${dot}`} />
+          {counts[status]} {label}
+        </span>
+      ))}
+    </div>
+  );
+
+  if (!data.collapsed) {
+    return (
+      <div className={`group w-full h-full rounded-2xl border-2 border-dashed transition-colors ${
+        selected
+          ? 'border-purple-500 bg-purple-50/40 dark:bg-purple-900/10'
+          : 'border-gray-300 dark:border-gray-600 bg-gray-100/40 dark:bg-gray-800/30'
+      }`}>
+        <NodeResizer
+          isVisible={selected}
+          minWidth={200}
+          minHeight={120}
+          onResizeStart={onNodeDragStart}
+          onResizeEnd={onNodeDragStop}
+          lineClassName="!border-purple-400"
+          handleClassName="!w-2.5 !h-2.5 !bg-white !border-2 !border-purple-500 !rounded-sm"
+        />
+        <div className="px-3 pt-2.5 space-y-1">
+          {header}
+          {statusRow}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`
+        group rounded-xl shadow-xl border-2 p-3 space-y-2 transition-all duration-300
+        bg-white dark:bg-gray-800 border-gray-300 dark:border-gray-600 shadow-[6px_6px_0_-2px_rgba(156,163,175,0.35)]
+        ${selected ? 'ring-2 ring-purple-500 ring-offset-4 ring-offset-white dark:ring-offset-gray-900' : 'hover:shadow-2xl'}
+        ${readyCount > 0 ? 'ring-4 ring-orange-500 ring-offset-2 ring-offset-white dark:ring-offset-gray-900' : ''}
+      `}
+    >
+      {/* Aggregated edges attach here; dependencies are drawn between tasks, not groups */}
+      <Handle type="target" position={Position.Left} isConnectable={false} className="!w-2 !h-2 !bg-gray-400 !border-0" />
+
+      {header}
+      {statusRow}
+
+      {(timeRows.length > 0 || readyCount > 0) && (
+        <div className="flex items-end justify-between gap-2 pt-2 border-t border-gray-100 dark:border-gray-700">
+          <div className="text-[11px] font-bold text-gray-700 dark:text-gray-200 leading-tight" title="Time until every task in the group is done (Σ serial, ↓ parallel)">
+            {timeRows.map(row => (
+              <div key={row.symbol} className="flex items-center gap-1.5">
+                <span className="opacity-60 font-mono">{row.symbol}</span>
+                <span>{time.assumedIds?.length > 0 && '≈ '}{formatTimeRange(row.days, row.variance, settings) || '0 days'}</span>
+              </div>
+            ))}
+          </div>
+          {readyCount > 0 && (
+            <span className="text-[10px] px-1.5 py-0.5 rounded-md font-bold bg-orange-500 text-white" title="Frontier tasks inside: ready to start for the selected goal">
+              {readyCount} ready
+            </span>
+          )}
+        </div>
+      )}
+
+      <Handle type="source" position={Position.Right} isConnectable={false} className="!w-2 !h-2 !bg-gray-400 !border-0" />
+    </div>
+  );
+};
+
+export default memo(GroupNode);
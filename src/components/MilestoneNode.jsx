@@ -0,0 +1,115 @@
+import { memo } from 'react';
+import { Handle, Position } from '@xyflow/react';
+import { useStore } from '../store/useStore';
+import { formatDate } from '../utils/calendarUtils';
+import { RISK_LABELS } from '../utils/milestoneUtils';
+import { describeFrontierImpact } from '../utils/timeUtils';
+
+const riskColors = {
+  red: 'bg-red-500 text-white border-red-600',
+  amber: 'bg-amber-400 text-amber-950 border-amber-500',
+  green: 'bg-green-500 text-white border-green-600',
+  unknown: 'bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-300 border-gray-300 dark:border-gray-600',
+  done: 'bg-white/50 dark:bg-black/20 text-green-700 dark:text-green-300 border-green-400 dark:border-green-600',
+};
+
+const riskHints = {
+  red: 'Expected to arrive after the target date',
+  amber: 'Expected on time, but less than 90% likely',
+  green: 'At least 90% likely to arrive by the target date',
+  unknown: 'A task leading here has no estimate yet',
+  done: 'Milestone reached',
+};
+
+const MilestoneNode = ({ id, data, selected }) => {
+  const deleteTask = useStore((state) => state.deleteTask);
+  const settings = useStore((state) => state.settings);
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    deleteTask(id);
+  };
+
+  const risk = data.milestoneRisk;
+  const nodeOpacity = data.status === 'done' || data.status === 'someday' ? 'opacity-60' : 'opacity-100';
+
+  return (
+    <div className={`relative group ${nodeOpacity}`}>
+      <div
+        className={`
+          flex items-center gap-3 min-w-[180px] max-w-[240px] pl-2 pr-7 py-2 rounded-xl shadow-xl border-2 transition-all duration-300
+          bg-indigo-50 dark:bg-indigo-900/60 border-indigo-400 dark:border-indigo-600 text-indigo-900 dark:text-indigo-100
+          ${data.status === 'someday' ? 'border-dashed' : ''}
+          ${selected ? 'ring-2 ring-purple-500 ring-offset-4 ring-offset-white dark:ring-offset-gray-900 scale-105 shadow-2xl' : 'hover:shadow-2xl hover:-translate-y-1'}
+          ${data.isFrontier ? 'ring-4 ring-orange-500 ring-offset-2 ring-offset-white dark:ring-offset-gray-900 shadow-orange-500/30' : ''}
+        `}
+      >
+        {/* Input Handle (left side) */}
+        <Handle
+          type="target"
+          position={Position.Left}
+          className="!w-3.5 !h-3.5 !bg-blue-500 !border-2 !border-white dark:!border-gray-900 !shadow-md hover:!scale-125 transition-transform"
+        />
+
+        {/* Frontier rank - which ready task to start first for the selected goal */}
+        {data.isFrontier && data.frontierRank && (
+          <span
+            className="absolute -top-3 -left-3 z-10 min-w-6 h-6 px-1.5 flex items-center justify-center rounded-full bg-orange-500 text-white text-[11px] font-bold shadow-md border-2 border-white dark:border-gray-900"
+            title={`#${data.frontierRank.rank} to start: ${describeFrontierImpact(data.frontierRank, settings)}`}
+          >
+            {data.frontierRank.rank}
+          </span>
+        )}
+
+        {/* Diamond marks a zero-duration milestone */}
+        <div className="flex-shrink-0 w-5 h-5 rotate-45 rounded-[3px] bg-indigo-500 dark:bg-indigo-400 shadow-sm ml-1" />
+
+        <div className="min-w-0">
+          <h3 className="font-bold text-[13px] leading-tight break-words">
+            {data.title || 'Untitled Milestone'}
+          </h3>
+          {data.targetDate && (
+            <p className="mt-0.5 text-[10px] font-bold text-indigo-700/70 dark:text-indigo-200/70" title="Target date">
+              🎯 {formatDate(data.targetDate, true)}
+            </p>
+          )}
+          {risk?.forecastDate && risk.risk !== 'unknown' && (
+            <p className="text-[10px] font-bold text-indigo-700/70 dark:text-indigo-200/70" title="Forecast arrival (expected)">
+              📅 {formatDate(risk.forecastDate, true)}
+            </p>
+          )}
+        </div>
+
+        {/* Delete button - Absolutely positioned */}
+        <button
+          onClick={handleDelete}
+          className="absolute top-1.5 right-1.5 text-gray-400 hover:text-red-500 transition-colors p-1 rounded-full hover:bg-red-50 dark:hover:bg-red-900/20 opacity-0 group-hover:opacity-100"
+          title="Delete milestone"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" viewBox="0 0 20 20" fill="currentColor">
+            <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+          </svg>
+        </button>
+
+        {/* Output Handle (right side) */}
+        <Handle
+          type="source"
+          position={Position.Right}
+          className="!w-3.5 !h-3.5 !bg-green-500 !border-2 !border-white dark:!border-gray-900 !shadow-md hover:!scale-125 transition-transform"
+        />
+
+        {/* Risk badge - on top of node, right side */}
+        {risk && (
+          <span
+            className={`absolute -top-3 right-2 text-[9px] px-1.5 py-0.5 rounded-full font-bold border shadow-sm ${riskColors[risk.risk]}`}
+            title={riskHints[risk.risk]}
+          >
+            {RISK_LABELS[risk.risk]}
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default memo(MilestoneNode);
@@ -0,0 +1,37 @@
+import { useStore } from '../store/useStore';
+
+// Tasks whose estimate was assumed (Project Settings > Missing Estimates); click to pan to one
+const NeedsEstimates = ({ taskIds, onFocus }) => {
+  const nodes = useStore((state) => state.nodes);
+
+  if (!taskIds || taskIds.length === 0) return null;
+
+  return (
+    <div className="space-y-1.5">
+      <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+        Needs Estimates
+      </label>
+      <p className="text-[11px] text-gray-500 dark:text-gray-400">
+        Times marked ≈ include {taskIds.length} assumed {taskIds.length === 1 ? 'estimate' : 'estimates'}.
+      </p>
+      <div className="bg-gray-50 dark:bg-gray-800 rounded-xl border border-dashed border-orange-300 dark:border-orange-800 divide-y divide-gray-100 dark:divide-gray-700 overflow-hidden">
+        {taskIds.map(id => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => onFocus(id)}
+            className="w-full flex items-center justify-between gap-2 px-3 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            title="Show on canvas"
+          >
+            <span className="text-xs font-bold text-gray-700 dark:text-gray-300 truncate">
+              {nodes.find(n => n.id === id)?.data.title || 'Untitled Task'}
+            </span>
+            <span className="flex-shrink-0 text-[10px] px-1.5 py-0.5 rounded-full font-bold bg-orange-100 dark:bg-orange-900/40 text-orange-700 dark:text-orange-300">?</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default NeedsEstimates;
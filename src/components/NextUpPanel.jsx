@@ -0,0 +1,176 @@
+import { useCallback, useMemo, useState } from 'react';
+import { useReactFlow } from '@xyflow/react';
+import { useStore } from '../store/useStore';
+import { getAbsolutePosition } from '../utils/groupUtils';
+import { findProjectFrontier } from '../utils/frontierUtils';
+import { getGraphIndex } from '../utils/graphUtils';
+import { formatTime, getTaskEstimate, isMilestone } from '../utils/timeUtils';
+
+const SORT_OPTIONS = [
+  { id: 'unblocks', label: 'Unblocks', hint: 'Tasks waiting directly on this one first' },
+  { id: 'shortest', label: 'Shortest', hint: 'Smallest remaining estimate first (no estimate last)' },
+  { id: 'title', label: 'A–Z', hint: 'By title' },
+];
+
+// Every task that can be started now, across the whole project (not just the selected goal)
+const NextUpPanel = ({ onClose }) => {
+  const { nodes, edges, tags, settings, selectedNodes, setSelectedNode, nextUpDock, setNextUpDock, groups } = useStore();
+  const { setCenter } = useReactFlow();
+  const [sortBy, setSortBy] = useState('unblocks');
+  const [tagFilter, setTagFilter] = useState('');
+
+  const tasks = useMemo(() => {
+    const index = getGraphIndex(nodes, edges);
+    return [...findProjectFrontier(nodes, edges)].map(id => {
+      const node = index.nodeById.get(id);
+      return {
+        node,
+        unblocks: (index.children.get(id) || []).length,
+        remaining: node.data.estimatedTime ? getTaskEstimate(node.data, settings).expected : null,
+      };
+    });
+  }, [nodes, edges, settings]);
+
+  const visibleTasks = useMemo(() => {
+    const filtered = tagFilter
+      ? tasks.filter(({ node }) => node.data.primaryTag === tagFilter || node.data.tags?.includes(tagFilter))
+      : tasks;
+    const byTitle = (a, b) => (a.node.data.title || '').localeCompare(b.node.data.title || '');
+    const compare = {
+      unblocks: (a, b) => b.unblocks - a.unblocks || byTitle(a, b),
+      shortest: (a, b) => (a.remaining ?? Infinity) - (b.remaining ?? Infinity) || byTitle(a, b),
+      title: byTitle,
+    }[sortBy];
+    // Work already started stays on top
+    return [...filtered].sort((a, b) => (
+      (b.node.data.status === 'in-progress') - (a.node.data.status === 'in-progress') || compare(a, b)
+    ));
+  }, [tasks, tagFilter, sortBy]);
+
+  const handleOpenTask = useCallback((node) => {
+    setSelectedNode(node.id);
+    const position = getAbsolutePosition(node, groups);
+    const x = position.x + (node.measured?.width || 150) / 2;
+    const y = position.y + (node.measured?.height || 60) / 2;
+    setCenter(x, y, { zoom: 1, duration: 800 });
+  }, [setSelectedNode, setCenter, groups]);
+
+  return (
+    <div className={`hidden md:flex w-72 z-20 bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 flex-col ${
+      nextUpDock === 'left' ? 'border-r' : 'border-l'
+    }`}>
+      {/* Header */}
+      <div className="px-5 py-4 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between bg-gray-50/50 dark:bg-gray-800/50">
+        <h2 className="font-bold text-gray-900 dark:text-gray-100 tracking-tight">
+          Next Up <span className="text-gray-400 dark:text-gray-500 font-medium">({visibleTasks.length})</span>
+        </h2>
+        <div className="flex items-center gap-1">
+          <button
+            onClick={() => setNextUpDock(nextUpDock === 'left' ? 'right' : 'left')}
+            className="p-1.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-all active:scale-90"
+            title={nextUpDock === 'left' ? 'Dock on the right' : 'Dock on the left'}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M3 4a1 1 0 011-1h12a1 1 0 011 1v12a1 1 0 01-1 1H4a1 1 0 01-1-1V4zm2 1v10h4V5H5zm6 0v10h4V5h-4z" clipRule="evenodd" />
+            </svg>
+          </button>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-700 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-all active:scale-90"
+            title="Hide panel"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      {/* Sort and filter */}
+      <div className="px-5 py-3 border-b border-gray-100 dark:border-gray-700 space-y-2">
+        <div className="flex bg-gray-50 dark:bg-gray-700 p-1 rounded-xl border border-gray-200 dark:border-gray-700 shadow-inner">
+          {SORT_OPTIONS.map(option => (
+            <button
+              key={option.id}
+              type="button"
+              onClick={() => setSortBy(option.id)}
+              title={option.hint}
+              className={`flex-1 py-1 text-[11px] font-bold uppercase tracking-tight rounded-xl transition-all active:scale-95 ${
+                sortBy === option.id
+                  ? 'bg-white dark:bg-gray-600 text-blue-600 dark:text-blue-300 shadow-sm border border-blue-100 dark:border-blue-900/50'
+                  : 'text-gray-400 dark:text-gray-600 hover:text-gray-600 dark:hover:text-gray-400'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <select
+          value={tagFilter}
+          onChange={(e) => setTagFilter(e.target.value)}
+          className="w-full px-3 py-1.5 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none cursor-pointer shadow-sm text-xs font-bold text-gray-800 dark:text-gray-100"
+        >
+          <option value="">All tags</option>
+          {tags.map(tag => (
+            <option key={tag.id} value={tag.id}>{tag.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Actionable tasks */}
+      <div className="flex-1 overflow-y-auto">
+        {visibleTasks.length === 0 ? (
+          <p className="text-center py-8 px-5 text-sm text-gray-400 dark:text-gray-500 italic">
+            {tasks.length === 0 ? 'Nothing can be started right now.' : 'No actionable tasks with this tag.'}
+          </p>
+        ) : (
+          <div className="divide-y divide-gray-100 dark:divide-gray-700">
+            {visibleTasks.map(({ node, unblocks, remaining }) => {
+              const primaryTag = tags.find(tag => tag.id === node.data.primaryTag);
+              return (
+                <button
+                  key={node.id}
+                  type="button"
+                  onClick={() => handleOpenTask(node)}
+                  className={`w-full px-5 py-2.5 text-left hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors ${
+                    selectedNodes.includes(node.id) ? 'bg-blue-50 dark:bg-blue-900/20' : ''
+                  }`}
+                  title="Show on canvas"
+                >
+                  <div className="flex items-center gap-2">
+                    {node.data.status === 'in-progress' && (
+                      <span className="flex-shrink-0 w-2 h-2 rounded-full bg-blue-500" title="In progress" />
+                    )}
+                    <span className="flex-1 min-w-0 text-xs font-bold text-gray-800 dark:text-gray-200 truncate">
+                      {node.data.title || 'Untitled Task'}
+                    </span>
+                    {isMilestone(node) ? (
+                      <span className="flex-shrink-0 text-[11px] font-bold text-indigo-500 dark:text-indigo-400" title="Milestone reached: mark it done">◆</span>
+                    ) : (
+                      <span className="flex-shrink-0 text-[11px] font-bold text-gray-500 dark:text-gray-400">
+                        {remaining ? formatTime(remaining, settings) : '?'}
+                      </span>
+                    )}
+                  </div>
+                  <div className="mt-1 flex items-center gap-2 text-[10px] text-gray-400 dark:text-gray-500">
+                    {primaryTag && (
+                      <span
+                        className="px-1.5 py-0.5 rounded-md font-bold border"
+                        style={{ backgroundColor: `${primaryTag.color}20`, borderColor: `${primaryTag.color}50`, color: primaryTag.color }}
+                      >
+                        {primaryTag.name}
+                      </span>
+                    )}
+                    {unblocks > 0 && <span>unblocks {unblocks}</span>}
+                  </div>
+                </button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NextUpPanel;
@@ -0,0 +1,179 @@
+import { useMemo, useState } from 'react';
+import { useStore } from '../store/useStore';
+import { calculateBurnSeries } from '../utils/historyUtils';
+import { findAncestors } from '../utils/frontierUtils';
+import { formatTime } from '../utils/timeUtils';
+import { formatDate, toISODate } from '../utils/calendarUtils';
+
+const CHART_WIDTH = 400;
+const CHART_HEIGHT = 160;
+
+const CHART_MODES = [
+  { id: 'burndown', label: 'Burndown' },
+  { id: 'burnup', label: 'Burnup' },
+];
+
+const CHART_SCOPES = [
+  { id: 'project', label: 'Whole Project' },
+  { id: 'goal', label: 'Selected Goal' },
+];
+
+const CHART_LINES = {
+  burndown: [
+    { key: 'remaining', label: 'Remaining', className: 'stroke-orange-500', swatch: 'bg-orange-500' },
+  ],
+  burnup: [
+    { key: 'scope', label: 'Scope', className: 'stroke-gray-400', swatch: 'bg-gray-400' },
+    { key: 'completed', label: 'Completed', className: 'stroke-green-500', swatch: 'bg-green-500' },
+  ],
+};
+
+const ProgressCharts = ({ isOpen, onClose }) => {
+  const { nodes, edges, selectedNode, settings } = useStore();
+  const [mode, setMode] = useState('burndown');
+  const [scope, setScope] = useState('project');
+
+  const goal = nodes.find(n => n.id === selectedNode);
+  const useGoal = scope === 'goal' && goal;
+
+  const series = useMemo(() => {
+    if (!isOpen) return [];
+    const ancestorIds = useGoal ? findAncestors(goal.id, nodes, edges) : null;
+    const included = ancestorIds ? nodes.filter(n => ancestorIds.has(n.id)) : nodes;
+    return calculateBurnSeries(included, settings);
+  }, [isOpen, useGoal, goal, nodes, edges, settings]);
+
+  if (!isOpen) return null;
+
+  const lines = CHART_LINES[mode];
+  const maxValue = Math.max(0, ...series.flatMap(point => lines.map(line => point[line.key])));
+  const firstTime = series[0]?.time ?? 0;
+  const lastTime = series[series.length - 1]?.time ?? 0;
+  const toX = (time) => (lastTime > firstTime ? ((time - firstTime) / (lastTime - firstTime)) * CHART_WIDTH : 0);
+  const toY = (value) => (maxValue > 0 ? CHART_HEIGHT - (value / maxValue) * CHART_HEIGHT : CHART_HEIGHT);
+  const latest = series[series.length - 1];
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col overflow-hidden border border-white/20 dark:border-gray-700">
+        {/* Header */}
+        <div className="px-6 py-5 border-b border-gray-100 dark:border-gray-700 flex items-center justify-between bg-gray-50/50 dark:bg-gray-800/50">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100 tracking-tight">Progress Charts</h2>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-800 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-all active:scale-90"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          <div className="flex gap-2">
+            {[
+              { options: CHART_MODES, value: mode, onChange: setMode },
+              { options: CHART_SCOPES, value: useGoal ? 'goal' : 'project', onChange: setScope },
+            ].map(control => (
+              <div key={control.options[0].id} className="flex flex-1 bg-gray-50 dark:bg-gray-700 p-1 rounded-xl border border-gray-200 dark:border-gray-700 shadow-inner">
+                {control.options.map(option => (
+                  <button
+                    key={option.id}
+                    type="button"
+                    disabled={option.id === 'goal' && !goal}
+                    onClick={() => control.onChange(option.id)}
+                    title={option.id === 'goal' && !goal ? 'Select a task to chart the work leading to it' : undefined}
+                    className={`flex-1 py-1.5 text-[11px] font-bold uppercase tracking-tight rounded-xl transition-all active:scale-95 disabled:opacity-40 disabled:cursor-not-allowed ${
+                      control.value === option.id
+                        ? 'bg-white dark:bg-gray-600 text-blue-600 dark:text-blue-300 shadow-sm border border-blue-100 dark:border-blue-900/50'
+                        : 'text-gray-400 dark:text-gray-600 hover:text-gray-600 dark:hover:text-gray-400'
+                    }`}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            ))}
+          </div>
+
+          {useGoal && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Work leading to <span className="font-bold text-gray-800 dark:text-gray-200">{goal.data.title || 'Untitled Task'}</span>
+            </p>
+          )}
+
+          {maxValue === 0 ? (
+            <p className="text-center py-8 text-sm text-gray-400 dark:text-gray-500 italic">No estimated work to chart yet.</p>
+          ) : (
+            <div className="space-y-2">
+              <div className="flex justify-between text-[10px] font-bold text-gray-400 dark:text-gray-500">
+                <span>{formatTime(maxValue, settings)}</span>
+                <div className="flex gap-3">
+                  {lines.map(line => (
+                    <span key={line.key} className="flex items-center gap-1">
+                      <span className={`w-2 h-2 rounded-full ${line.swatch}`} />
+                      {line.label}
+                    </span>
+                  ))}
+                </div>
+              </div>
+              <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} className="w-full h-40 bg-gray-50 dark:bg-gray-900/40 rounded-xl" preserveAspectRatio="none">
+                {/* Step lines: work only changes when a task is updated */}
+                {lines.map(line => (
+                  <polyline
+                    key={line.key}
+                    points={series.map((point, i) => {
+                      const y = toY(point[line.key]);
+                      const previousY = i > 0 ? toY(series[i - 1][line.key]) : y;
+                      return `${toX(point.time)},${previousY} ${toX(point.time)},${y}`;
+                    }).join(' ')}
+                    fill="none"
+                    strokeWidth="2"
+                    vectorEffect="non-scaling-stroke"
+                    className={line.className}
+                  />
+                ))}
+              </svg>
+              <div className="flex justify-between text-[10px] font-bold text-gray-400 dark:text-gray-500">
+                <span>{formatDate(toISODate(new Date(firstTime)), true)}</span>
+                <span>Today</span>
+              </div>
+            </div>
+          )}
+
+          {latest && maxValue > 0 && (
+            <div className="grid grid-cols-3 gap-3 bg-gray-50 dark:bg-gray-800 rounded-xl p-3 border border-gray-100 dark:border-gray-700">
+              {[
+                { label: 'Remaining', value: latest.remaining },
+                { label: 'Completed', value: latest.completed },
+                { label: 'Scope', value: latest.scope },
+              ].map(stat => (
+                <div key={stat.label} className="flex flex-col">
+                  <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">{stat.label}</span>
+                  <span className="text-sm font-bold text-gray-900 dark:text-gray-100">{formatTime(stat.value, settings) || '0 days'}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          <p className="text-xs text-gray-400 dark:text-gray-500">
+            Built from the status and estimate history saved with each task. Tasks created before history was recorded count from their creation date with their current values.
+          </p>
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-5 border-t border-gray-100 dark:border-gray-700 flex justify-end bg-gray-50/50 dark:bg-gray-800/50">
+          <button
+            onClick={onClose}
+            className="px-8 py-2.5 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-600 transition-all font-bold shadow-sm active:scale-95"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProgressCharts;
@@ -0,0 +1,377 @@
+import { useMemo, useState } from 'react';
+import { useStore } from '../store/useStore';
+import { WEEKDAY_LABELS, formatDate } from '../utils/calendarUtils';
+import { MIN_CALIBRATION_SAMPLES, TIME_UNITS, calculateCalibration, defaultAssumedEstimate, defaultTimeUnits, getTimeUnits } from '../utils/timeUtils';
+
+const TIME_UNIT_FIELDS = [
+  { name: 'hoursPerDay', label: 'Hours / day', min: '0.5', step: '0.5' },
+  { name: 'daysPerWeek', label: 'Days / week', min: '0.5', step: '0.5' },
+  { name: 'weeksPerMonth', label: 'Weeks / month', min: '0.5', step: '0.5' },
+];
+
+const ASSUMED_ESTIMATE_MODES = [
+  { id: 'off', label: 'Off' },
+  { id: 'default', label: 'Default' },
+  { id: 'tag-median', label: 'Tag Median' },
+];
+
+const ASSUMED_ESTIMATE_HINTS = {
+  'off': 'A task without an estimate hides the times of everything that depends on it.',
+  'default': 'Tasks without an estimate assume the value below. Results that rely on it are marked.',
+  'tag-median': 'Tasks without an estimate assume the median estimate of their primary tag (or the value below). Results that rely on it are marked.',
+};
+
+const ProjectSettings = ({ isOpen, onClose }) => {
+  const { settings, updateSettings, people, addPerson, updatePerson, deletePerson, nodes, tags } = useStore();
+  const [newHoliday, setNewHoliday] = useState('');
+  const [newPersonName, setNewPersonName] = useState('');
+  const [newPersonCapacity, setNewPersonCapacity] = useState(100);
+
+  // Estimate-to-actual ratios from completed tasks, most-sampled tags first
+  const calibration = useMemo(() => {
+    if (!isOpen) return null;
+    const { tags: tagStats, overall } = calculateCalibration(nodes, settings);
+    const rows = [...tagStats]
+      .map(([tagId, stats]) => ({ ...stats, id: tagId, name: tags.find(tag => tag.id === tagId)?.name || 'Unknown tag' }))
+      .sort((a, b) => b.count - a.count);
+    return { rows, overall };
+  }, [isOpen, nodes, tags, settings]);
+
+  if (!isOpen) return null;
+
+  const holidays = settings.holidays || [];
+  const timeUnits = getTimeUnits(settings);
+  const assumedEstimateMode = settings.assumedEstimateMode || defaultAssumedEstimate.assumedEstimateMode;
+
+  const handleToggleWorkingDay = (day) => {
+    const workingDays = settings.workingDays.includes(day)
+      ? settings.workingDays.filter(d => d !== day)
+      : [...settings.workingDays, day].sort((a, b) => a - b);
+    updateSettings({ workingDays });
+  };
+
+  const handleAddHoliday = () => {
+    if (!newHoliday || holidays.includes(newHoliday)) return;
+    updateSettings({ holidays: [...holidays, newHoliday].sort() });
+    setNewHoliday('');
+  };
+
+  const handleRemoveHoliday = (date) => {
+    updateSettings({ holidays: holidays.filter(d => d !== date) });
+  };
+
+  const handleAddPerson = () => {
+    if (!newPersonName.trim()) return;
+    addPerson(newPersonName.trim(), (parseFloat(newPersonCapacity) || 100) / 100);
+    setNewPersonName('');
+    setNewPersonCapacity(100);
+  };
+
+  const handleDeletePerson = (personId) => {
+    if (confirm('Remove this person? Their tasks will become unassigned.')) {
+      deletePerson(personId);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl w-full max-w-md max-h-[90vh] flex flex-col overflow-hidden border border-white/20 dark:border-gray-700">
+        {/* Header */}
+        <div className="px-6 py-5 border-b border-gray-100 dark:border-gray-700 flex items-center justify-between bg-gray-50/50 dark:bg-gray-800/50">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100 tracking-tight">Project Settings</h2>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-800 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-all active:scale-90"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="flex-1 overflow-y-auto p-6 space-y-8">
+          {/* Project Start */}
+          <div className="space-y-4">
+            <h3 className="text-xs font-bold text-gray-400 dark:text-gray-500 uppercase tracking-widest">Project Start</h3>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={() => updateSettings({ startDate: null })}
+                className={`px-4 py-2 text-sm font-bold rounded-xl border transition-all active:scale-95 ${
+                  !settings.startDate
+                    ? 'bg-blue-600 text-white border-blue-600 shadow-md'
+                    : 'bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-400 border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600'
+                }`}
+              >
+                Today
+              </button>
+              <input
+                type="date"
+                value={settings.startDate || ''}
+                onChange={(e) => updateSettings({ startDate: e.target.value || null })}
+                className="flex-1 px-4 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+              />
+            </div>
+          </div>
+
+          {/* Working Week */}
+          <div className="space-y-4">
+            <h3 className="text-xs font-bold text-gray-400 dark:text-gray-500 uppercase tracking-widest">Working Week</h3>
+            <div className="flex bg-gray-50 dark:bg-gray-700 p-1 rounded-xl border border-gray-200 dark:border-gray-700 shadow-inner">
+              {WEEKDAY_LABELS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => handleToggleWorkingDay(day)}
+                  className={`flex-1 py-1.5 text-[11px] font-bold uppercase tracking-tight rounded-xl transition-all active:scale-95 ${
+                    settings.workingDays.includes(day)
+                      ? 'bg-white dark:bg-gray-600 text-blue-600 dark:text-blue-300 shadow-sm border border-blue-100 dark:border-blue-900/50'
+                      : 'text-gray-400 dark:text-gray-600 hover:text-gray-600 dark:hover:text-gray-400'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {settings.workingDays.length === 0 && (
+              <p className="text-xs text-red-500">Select at least one working day to see dates.</p>
+            )}
+          </div>
+
+          {/* Time Units (conversion rules for estimates and display) */}
+          <div className="space-y-4">
+            <h3 className="text-xs font-bold text-gray-400 dark:text-gray-500 uppercase tracking-widest">Time Units</h3>
+            <div className="grid grid-cols-3 gap-2">
+              {TIME_UNIT_FIELDS.map(field => (
+                <label key={field.name} className="flex flex-col gap-1">
+                  <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">{field.label}</span>
+                  <input
+                    type="number"
+                    value={settings[field.name] ?? defaultTimeUnits[field.name]}
+                    onChange={(e) => updateSettings({ [field.name]: e.target.value === '' ? '' : parseFloat(e.target.value) })}
+                    onBlur={() => updateSettings({ [field.name]: timeUnits[field.name] })}
+                    min={field.min}
+                    step={field.step}
+                    className="w-full px-3 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+                  />
+                </label>
+              ))}
+            </div>
+            {settings.workingDays.length > 0 && settings.workingDays.length !== timeUnits.daysPerWeek && (
+              <p className="text-xs text-gray-400 dark:text-gray-500">
+                Your working week has {settings.workingDays.length} days, but estimates in weeks use {timeUnits.daysPerWeek}.
+              </p>
+            )}
+          </div>
+
+          {/* Missing Estimates (assumed instead of blocking downstream times) */}
+          <div className="space-y-4">
+            <h3 className="text-xs font-bold text-gray-400 dark:text-gray-500 uppercase tracking-widest">Missing Estimates</h3>
+            <div className="flex bg-gray-50 dark:bg-gray-700 p-1 rounded-xl border border-gray-200 dark:border-gray-700 shadow-inner">
+              {ASSUMED_ESTIMATE_MODES.map(mode => (
+                <button
+                  key={mode.id}
+                  type="button"
+                  onClick={() => updateSettings({ assumedEstimateMode: mode.id })}
+                  className={`flex-1 py-1.5 text-[11px] font-bold uppercase tracking-tight rounded-xl transition-all active:scale-95 ${
+                    assumedEstimateMode === mode.id
+                      ? 'bg-white dark:bg-gray-600 text-blue-600 dark:text-blue-300 shadow-sm border border-blue-100 dark:border-blue-900/50'
+                      : 'text-gray-400 dark:text-gray-600 hover:text-gray-600 dark:hover:text-gray-400'
+                  }`}
+                >
+                  {mode.label}
+                </button>
+              ))}
+            </div>
+            {assumedEstimateMode !== 'off' && (
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  value={settings.assumedEstimate ?? defaultAssumedEstimate.assumedEstimate}
+                  onChange={(e) => updateSettings({ assumedEstimate: e.target.value === '' ? '' : parseFloat(e.target.value) })}
+                  min="0"
+                  step="0.5"
+                  className="w-24 px-3 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+                />
+                <select
+                  value={settings.assumedEstimateUnit || defaultAssumedEstimate.assumedEstimateUnit}
+                  onChange={(e) => updateSettings({ assumedEstimateUnit: e.target.value })}
+                  className="flex-1 px-3 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none cursor-pointer shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+                >
+                  {TIME_UNITS.map(unit => (
+                    <option key={unit} value={unit}>{unit}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <p className="text-xs text-gray-400 dark:text-gray-500">{ASSUMED_ESTIMATE_HINTS[assumedEstimateMode]}</p>
+          </div>
+
+          {/* Estimate Calibration (actual vs. estimated time of completed tasks) */}
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <h3 className="text-xs font-bold text-gray-400 dark:text-gray-500 uppercase tracking-widest">Estimate Calibration</h3>
+              <label className="flex items-center gap-2 text-xs font-bold text-gray-600 dark:text-gray-300 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={!!settings.calibrateEstimates}
+                  onChange={(e) => updateSettings({ calibrateEstimates: e.target.checked })}
+                  className="w-4 h-4 accent-blue-600 cursor-pointer"
+                />
+                Apply to forecasts
+              </label>
+            </div>
+            {calibration.overall.count === 0 ? (
+              <p className="text-center py-4 text-sm text-gray-400 dark:text-gray-500 italic">No completed tasks with an estimate and an actual duration yet.</p>
+            ) : (
+              <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl border border-gray-100 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700 overflow-hidden">
+                {[...calibration.rows, { ...calibration.overall, id: 'overall', name: 'All tasks' }].map(row => (
+                  <div
+                    key={row.id}
+                    className={`flex items-center justify-between gap-2 px-3 py-2 ${row.count < MIN_CALIBRATION_SAMPLES ? 'opacity-50' : ''}`}
+                    title={`${row.count} completed ${row.count === 1 ? 'task' : 'tasks'}: estimated ${row.estimated.toFixed(1)} days, took ${row.actual.toFixed(1)} days`}
+                  >
+                    <span className={`text-xs font-bold text-gray-700 dark:text-gray-300 truncate ${row.id === 'overall' ? 'italic' : ''}`}>{row.name}</span>
+                    <span className="flex-shrink-0 text-xs text-gray-500 dark:text-gray-400">
+                      take <span className="font-bold text-gray-900 dark:text-gray-100">{row.ratio.toFixed(1)}×</span> their estimate ({row.count})
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+            <p className="text-xs text-gray-400 dark:text-gray-500">
+              Actual time is the time logged, or the working days from start to done. Ratios need {MIN_CALIBRATION_SAMPLES} completed tasks; tags with fewer use the ratio of all tasks.
+            </p>
+          </div>
+
+          {/* Holidays */}
+          <div className="space-y-4">
+            <h3 className="text-xs font-bold text-gray-400 dark:text-gray-500 uppercase tracking-widest">Holidays</h3>
+            <div className="flex gap-2">
+              <input
+                type="date"
+                value={newHoliday}
+                onChange={(e) => setNewHoliday(e.target.value)}
+                className="flex-1 px-4 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+              />
+              <button
+                onClick={handleAddHoliday}
+                disabled={!newHoliday}
+                className="px-6 py-2 bg-blue-600 text-white rounded-xl hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all font-bold shadow-lg shadow-blue-200 dark:shadow-none active:scale-95"
+              >
+                Add
+              </button>
+            </div>
+            {holidays.length === 0 ? (
+              <p className="text-center py-4 text-sm text-gray-400 dark:text-gray-500 italic">No holidays.</p>
+            ) : (
+              <div className="flex flex-wrap gap-2">
+                {holidays.map(date => (
+                  <div
+                    key={date}
+                    className="flex items-center gap-1.5 px-2 py-1.5 rounded-lg border border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-700/50 shadow-sm text-xs font-bold text-gray-700 dark:text-gray-300"
+                  >
+                    <span>{formatDate(date, true)}</span>
+                    <button
+                      onClick={() => handleRemoveHoliday(date)}
+                      className="hover:bg-black/10 dark:hover:bg-white/10 rounded-full p-0.5 transition-colors"
+                      title="Remove holiday"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-3 w-3" viewBox="0 0 20 20" fill="currentColor">
+                        <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+                      </svg>
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Team (used for the resource-levelled forecast) */}
+          <div className="space-y-4">
+            <h3 className="text-xs font-bold text-gray-400 dark:text-gray-500 uppercase tracking-widest">Team</h3>
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newPersonName}
+                onChange={(e) => setNewPersonName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleAddPerson()}
+                placeholder="Name"
+                className="flex-1 min-w-0 px-4 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+              />
+              <div className="relative w-24">
+                <input
+                  type="number"
+                  value={newPersonCapacity}
+                  onChange={(e) => setNewPersonCapacity(e.target.value)}
+                  min="5"
+                  max="100"
+                  step="5"
+                  title="Capacity (% of full time)"
+                  className="w-full pl-3 pr-7 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+                />
+                <span className="absolute right-3 top-1/2 -translate-y-1/2 text-xs font-bold text-gray-400 pointer-events-none">%</span>
+              </div>
+              <button
+                onClick={handleAddPerson}
+                disabled={!newPersonName.trim()}
+                className="px-4 py-2 bg-blue-600 text-white rounded-xl hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-all font-bold shadow-lg shadow-blue-200 dark:shadow-none active:scale-95"
+              >
+                Add
+              </button>
+            </div>
+            {people.length === 0 ? (
+              <p className="text-center py-4 text-sm text-gray-400 dark:text-gray-500 italic">No people yet. Add your team to get a resource-levelled forecast.</p>
+            ) : (
+              <div className="space-y-2">
+                {people.map(person => (
+                  <div
+                    key={person.id}
+                    className="flex items-center gap-2 px-3 py-2 rounded-xl border border-gray-100 dark:border-gray-700 bg-gray-50 dark:bg-gray-700/50"
+                  >
+                    <span className="flex-1 min-w-0 truncate text-sm font-bold text-gray-800 dark:text-gray-200">{person.name}</span>
+                    <div className="relative w-20">
+                      <input
+                        type="number"
+                        value={Math.round(person.capacity * 100)}
+                        onChange={(e) => updatePerson(person.id, { capacity: (parseFloat(e.target.value) || 0) / 100 })}
+                        min="5"
+                        max="100"
+                        step="5"
+                        title="Capacity (% of full time)"
+                        className="w-full pl-2 pr-6 py-1 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-lg outline-none text-xs font-bold text-gray-800 dark:text-gray-100"
+                      />
+                      <span className="absolute right-2 top-1/2 -translate-y-1/2 text-[10px] font-bold text-gray-400 pointer-events-none">%</span>
+                    </div>
+                    <button
+                      onClick={() => handleDeletePerson(person.id)}
+                      className="p-1.5 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/50 rounded-lg transition-colors"
+                      title="Remove person"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                        <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                      </svg>
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="px-6 py-5 border-t border-gray-100 dark:border-gray-700 flex justify-end bg-gray-50/50 dark:bg-gray-800/50">
+          <button
+            onClick={onClose}
+            className="px-8 py-2.5 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-600 transition-all font-bold shadow-sm active:scale-95"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectSettings;
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { useStore } from '../store/useStore';
+
+// Dependencies implied by a longer chain (highlighted on the canvas while open); the
+// checked ones or all of them can be removed as one undoable change
+const RedundantEdgesPanel = ({ redundantEdges, onClose }) => {
+  const { nodes, removeEdges } = useStore();
+  const [checkedIds, setCheckedIds] = useState([]);
+
+  const titleOf = (id) => nodes.find(n => n.id === id)?.data.title || 'Untitled Task';
+  const entries = [...redundantEdges];
+  // Edges removed meanwhile (e.g. by undo/redo elsewhere) drop out of the selection
+  const checked = checkedIds.filter(id => redundantEdges.has(id));
+
+  const handleToggle = (id) => {
+    setCheckedIds(checked.includes(id) ? checked.filter(checkedId => checkedId !== id) : [...checked, id]);
+  };
+
+  const handleRemove = (ids) => {
+    removeEdges(ids);
+    setCheckedIds([]);
+  };
+
+  return (
+    <div className="absolute top-20 right-4 z-30 w-80 max-h-[70vh] flex flex-col bg-white dark:bg-gray-800 rounded-2xl shadow-2xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+      <div className="px-4 pt-4 pb-3 space-y-1.5">
+        <div className="flex items-center justify-between gap-2">
+          <h3 className="text-xs font-bold text-gray-900 dark:text-gray-100">
+            Redundant Dependencies
+          </h3>
+          <button
+            onClick={onClose}
+            className="p-1 rounded-full hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
+            title="Close"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+        <p className="text-[11px] text-gray-500 dark:text-gray-400">
+          {entries.length === 0
+            ? 'None: every dependency adds something.'
+            : 'Already implied by a longer chain of dependencies (amber on the canvas). Removing them changes no times.'}
+        </p>
+      </div>
+
+      {entries.length > 0 && (
+        <>
+          <div className="flex-1 overflow-y-auto border-y border-gray-100 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700">
+            {entries.map(([edgeId, path]) => (
+              <label key={edgeId} className="flex items-start gap-2 px-4 py-2 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50">
+                <input
+                  type="checkbox"
+                  checked={checked.includes(edgeId)}
+                  onChange={() => handleToggle(edgeId)}
+                  className="mt-0.5 accent-amber-500"
+                />
+                <span className="min-w-0">
+                  <span className="block text-xs font-bold text-gray-700 dark:text-gray-300 truncate">
+                    {titleOf(path[0])} → {titleOf(path[path.length - 1])}
+                  </span>
+                  <span className="block text-[10px] text-gray-400 dark:text-gray-500">
+                    {path.length === 2 ? 'Duplicate dependency' : `via ${path.slice(1, -1).map(titleOf).join(' → ')}`}
+                  </span>
+                </span>
+              </label>
+            ))}
+          </div>
+
+          <div className="flex gap-2 p-3">
+            <button
+              onClick={() => handleRemove(checked)}
+              disabled={checked.length === 0}
+              className="flex-1 px-3 py-1.5 text-xs font-bold rounded-lg border border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40 transition-colors"
+            >
+              Remove Checked
+            </button>
+            <button
+              onClick={() => handleRemove(entries.map(([edgeId]) => edgeId))}
+              className="flex-1 px-3 py-1.5 text-xs font-bold rounded-lg bg-amber-500 text-white hover:bg-amber-600 transition-colors"
+            >
+              Remove All ({entries.length})
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RedundantEdgesPanel;
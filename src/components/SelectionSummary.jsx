@@ -0,0 +1,138 @@
+import { useCallback, useMemo } from 'react';
+import { useReactFlow } from '@xyflow/react';
+import { useStore } from '../store/useStore';
+import { getAbsolutePosition } from '../utils/groupUtils';
+import { COMBINED_TIME_KEY, formatTime, formatTimeRange } from '../utils/timeUtils';
+import { formatDate, scheduleToDates } from '../utils/calendarUtils';
+import NeedsEstimates from './NeedsEstimates';
+
+const SelectionSummary = ({ onMinimize, cumulativeTimes }) => {
+  const { nodes, selectedNodes, setSelectedNode, settings, groups, groupNodes } = useStore();
+  const { setCenter } = useReactFlow();
+
+  const combined = cumulativeTimes.get(COMBINED_TIME_KEY);
+  const selected = selectedNodes
+    .map(id => nodes.find(n => n.id === id))
+    .filter(Boolean);
+
+  // Earliest date every selected task can be finished (↓ on the project calendar)
+  const finishDate = useMemo(() => {
+    if (!combined || combined.min === null) return null;
+    const dates = scheduleToDates(new Map([[COMBINED_TIME_KEY, { earlyStart: 0, earlyFinish: combined.min }]]), settings);
+    return dates.get(COMBINED_TIME_KEY)?.finishDate || null;
+  }, [combined, settings]);
+
+  const handleFocusNode = useCallback((id) => {
+    const node = nodes.find(n => n.id === id);
+    if (node) {
+      const position = getAbsolutePosition(node, groups);
+      const x = position.x + (node.measured?.width || 150) / 2;
+      const y = position.y + (node.measured?.height || 60) / 2;
+      setCenter(x, y, { zoom: 1, duration: 800 });
+    }
+  }, [nodes, groups, setCenter]);
+
+  const timeRows = combined && combined.min !== null ? [
+    { symbol: 'Σ', label: 'Sum', days: combined.sum, variance: combined.sumVariance, hint: 'All work leading to any selected task, done one after another (shared tasks counted once)' },
+    { symbol: '↓', label: 'Min', days: combined.min, variance: combined.minVariance, hint: 'Longest chain to any selected task, with maximum parallelism' },
+  ] : [];
+
+  return (
+    <div className="hidden md:flex w-80 z-20 bg-white dark:bg-gray-800 border-l border-gray-200 dark:border-gray-700 flex-col">
+      {/* Header */}
+      <div className="px-6 py-5 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between bg-gray-50/50 dark:bg-gray-800/50">
+        <h2 className="font-bold text-gray-900 dark:text-gray-100 tracking-tight">{selected.length} Tasks Selected</h2>
+        <button
+          onClick={() => groupNodes(selectedNodes)}
+          className="ml-auto mr-2 px-2.5 py-1 rounded-lg text-[11px] font-bold uppercase text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 transition-colors"
+          title="Put the selected tasks in a collapsible group (epic)"
+        >
+          Group
+        </button>
+        <button
+          onClick={onMinimize}
+          className="p-1.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-800 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-all active:scale-90"
+          title="Hide panel"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+            <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-6 space-y-5">
+        {/* Combined estimate */}
+        <div className="space-y-1.5">
+          <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+            Time Until All Done
+          </label>
+          {timeRows.length > 0 ? (
+            <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-3 border border-gray-100 dark:border-gray-700 space-y-2">
+              {timeRows.map(row => (
+                <div key={row.symbol} className="flex items-center justify-between gap-2" title={row.hint}>
+                  <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">{row.symbol} {row.label}</span>
+                  <span className="text-sm font-bold text-gray-900 dark:text-gray-100">
+                    {combined.assumedIds?.length > 0 && '≈ '}{formatTimeRange(row.days, row.variance, settings) || '0 days'}
+                  </span>
+                </div>
+              ))}
+              {finishDate && (
+                <div className="flex items-center justify-between gap-2 pt-2 border-t border-gray-100 dark:border-gray-700">
+                  <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">Earliest Finish</span>
+                  <span className="text-sm font-bold text-gray-900 dark:text-gray-100">{formatDate(finishDate, true)}</span>
+                </div>
+              )}
+            </div>
+          ) : (
+            <p className="text-xs text-gray-500 dark:text-gray-400 bg-gray-50 dark:bg-gray-800 rounded-xl p-3 border border-gray-100 dark:border-gray-700">
+              {combined
+                ? 'Some tasks leading here have no estimate yet (marked "?" on the canvas).'
+                : 'All selected tasks are done or someday.'}
+            </p>
+          )}
+        </div>
+
+        <NeedsEstimates taskIds={combined?.assumedIds} onFocus={handleFocusNode} />
+
+        {/* Each selected task with its own time */}
+        <div className="space-y-1.5">
+          <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+            Selected Tasks
+          </label>
+          <div className="bg-gray-50 dark:bg-gray-800 rounded-xl border border-gray-100 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700 overflow-hidden">
+            {selected.map(node => {
+              const time = cumulativeTimes.get(node.id);
+              return (
+                <div key={node.id} className="flex items-center hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors">
+                  <button
+                    type="button"
+                    onClick={() => handleFocusNode(node.id)}
+                    className="flex-1 min-w-0 flex items-center justify-between gap-2 pl-3 py-2 text-left"
+                    title="Show on canvas"
+                  >
+                    <span className="text-xs font-bold text-gray-700 dark:text-gray-300 truncate">{node.data.title || 'Untitled Task'}</span>
+                    <span className="flex-shrink-0 text-[11px] font-bold text-gray-500 dark:text-gray-400">
+                      {node.data.status === 'done' || node.data.status === 'someday'
+                        ? node.data.status
+                        : time?.min != null ? `↓ ${formatTime(time.min, settings)}` : '?'}
+                    </span>
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setSelectedNode(node.id)}
+                    className="flex-shrink-0 px-3 py-2 text-[10px] font-bold uppercase text-blue-500 hover:text-blue-700 dark:hover:text-blue-300"
+                    title="Select only this task"
+                  >
+                    Open
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SelectionSummary;
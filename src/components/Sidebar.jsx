@@ -1,9 +1,17 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { useReactFlow } from '@xyflow/react';
 import { useStore } from '../store/useStore';
+import { getAbsolutePosition } from '../utils/groupUtils';
+import { formatDate } from '../utils/calendarUtils';
+import { TIME_UNITS, describeFrontierImpact, formatTime, getTaskProgress, isMilestone, isSubproject } from '../utils/timeUtils';
+import { RISK_LABELS } from '../utils/milestoneUtils';
+import { findBlockers } from '../utils/frontierUtils';
+import ForecastPanel from './ForecastPanel';
+import NeedsEstimates from './NeedsEstimates';
+import SubprojectPanel from './SubprojectPanel';
 
-const Sidebar = ({ onMinimize }) => {
-  const { nodes, selectedNode, updateTask, setSelectedNode, tags, mobileEditOpen, setMobileEditOpen } = useStore();
+const Sidebar = ({ onMinimize, schedule, scheduledDates, milestoneRisk, cumulativeTime, frontierRanking }) => {
+  const { nodes, edges, selectedNode, updateTask, setSelectedNode, tags, people, settings, mobileEditOpen, setMobileEditOpen, groups } = useStore();
   const { setCenter } = useReactFlow();
   const [formData, setFormData] = useState({
     title: '',
@@ -13,8 +21,16 @@ const Sidebar = ({ onMinimize }) => {
     tags: [],
     estimatedTime: '',
     estimatedTimeUnit: 'days',
+    optimisticTime: '',
+    pessimisticTime: '',
+    percentComplete: '',
+    remainingTime: '',
+    actualTime: '',
+    assignee: null,
+    targetDate: '',
     note: '',
   });
+  const [threePointOpen, setThreePointOpen] = useState(false);
 
   const selectedNodeData = nodes.find((node) => node.id === selectedNode);
   const debounceTimerRef = useRef(null);
@@ -41,8 +57,9 @@ const Sidebar = ({ onMinimize }) => {
     if (mobileEditOpen && selectedNode && lastCenteredNodeRef.current !== selectedNode) {
       const node = nodes.find(n => n.id === selectedNode);
       if (node) {
-        const x = node.position.x + (node.measured?.width || 150) / 2;
-        const y = node.position.y + (node.measured?.height || 60) / 2;
+        const position = getAbsolutePosition(node, groups);
+        const x = position.x + (node.measured?.width || 150) / 2;
+        const y = position.y + (node.measured?.height || 60) / 2;
         
         setCenter(x, y + window.innerHeight * 0.4, { zoom: 0.8, duration: 800, offset: { x: 0, y: 0 } });
         lastCenteredNodeRef.current = selectedNode;
@@ -50,15 +67,14 @@ const Sidebar = ({ onMinimize }) => {
     } else if (!mobileEditOpen) {
       lastCenteredNodeRef.current = null;
     }
-  }, [mobileEditOpen, selectedNode, setCenter, nodes]);
+  }, [mobileEditOpen, selectedNode, setCenter, nodes, groups]);
 
   // All hooks must be called before any conditional returns
-  const handleChange = useCallback((e) => {
-    const { name, value } = e.target;
-    setFormData((prev) => ({ ...prev, [name]: value }));
+  const queueChanges = useCallback((changes) => {
+    setFormData((prev) => ({ ...prev, ...changes }));
     
     // Store pending changes
-    pendingChangesRef.current = { [name]: value };
+    pendingChangesRef.current = changes;
     
     // Debounce the updateTask call so rapid typing only creates one history entry
     if (debounceTimerRef.current) {
@@ -67,12 +83,22 @@ const Sidebar = ({ onMinimize }) => {
     
     if (selectedNode) {
       debounceTimerRef.current = setTimeout(() => {
-        updateTask(selectedNode, { [name]: value });
+        updateTask(selectedNode, changes);
         pendingChangesRef.current = null;
       }, 500); // Wait 500ms after last keystroke before saving to history
     }
   }, [selectedNode, updateTask]);
 
+  const handleChange = useCallback((e) => {
+    const { name, value } = e.target;
+    queueChanges({ [name]: value });
+  }, [queueChanges]);
+
+  // Percent complete replaces any explicit remaining estimate
+  const handlePercentChange = useCallback((e) => {
+    queueChanges({ percentComplete: e.target.value, remainingTime: '' });
+  }, [queueChanges]);
+
   const handleStatusChange = useCallback((status) => {
     setFormData((prev) => ({ ...prev, status }));
     if (selectedNode) {
@@ -88,6 +114,14 @@ const Sidebar = ({ onMinimize }) => {
     }
   }, [selectedNode, updateTask]);
 
+  const handleAssigneeChange = useCallback((e) => {
+    const personId = e.target.value || null;
+    setFormData((prev) => ({ ...prev, assignee: personId }));
+    if (selectedNode) {
+      updateTask(selectedNode, { assignee: personId });
+    }
+  }, [selectedNode, updateTask]);
+
   const handleAdditionalTagAdd = useCallback((tagId) => {
     if (!tagId) return;
     setFormData((prev) => {
@@ -109,6 +143,14 @@ const Sidebar = ({ onMinimize }) => {
     });
   }, [selectedNode, updateTask]);
 
+  const handleTargetDateChange = useCallback((e) => {
+    const targetDate = e.target.value || null;
+    setFormData((prev) => ({ ...prev, targetDate: targetDate || '' }));
+    if (selectedNode) {
+      updateTask(selectedNode, { targetDate });
+    }
+  }, [selectedNode, updateTask]);
+
   const handleTimeUnitChange = useCallback((unit) => {
     setFormData((prev) => ({ ...prev, estimatedTimeUnit: unit }));
     if (selectedNode) {
@@ -116,6 +158,30 @@ const Sidebar = ({ onMinimize }) => {
     }
   }, [selectedNode, updateTask]);
 
+  // Pan the canvas to a task without changing the selected goal
+  const handleFocusNode = useCallback((id) => {
+    const node = nodes.find(n => n.id === id);
+    if (node) {
+      const position = getAbsolutePosition(node, groups);
+      const x = position.x + (node.measured?.width || 150) / 2;
+      const y = position.y + (node.measured?.height || 60) / 2;
+      setCenter(x, y, { zoom: 1, duration: 800 });
+    }
+  }, [nodes, groups, setCenter]);
+
+  const handleToggleThreePoint = useCallback(() => {
+    if (threePointOpen || formData.optimisticTime || formData.pessimisticTime) {
+      // Switching back to a single estimate drops the range
+      setThreePointOpen(false);
+      setFormData((prev) => ({ ...prev, optimisticTime: '', pessimisticTime: '' }));
+      if (selectedNode) {
+        updateTask(selectedNode, { optimisticTime: null, pessimisticTime: null });
+      }
+    } else {
+      setThreePointOpen(true);
+    }
+  }, [threePointOpen, formData.optimisticTime, formData.pessimisticTime, selectedNode, updateTask]);
+
   const handleClose = useCallback(() => {
     setSelectedNode(null);
     setMobileEditOpen(false);
@@ -131,6 +197,13 @@ const Sidebar = ({ onMinimize }) => {
         tags: selectedNodeData.data.tags || [],
         estimatedTime: selectedNodeData.data.estimatedTime || '',
         estimatedTimeUnit: selectedNodeData.data.estimatedTimeUnit || 'days',
+        optimisticTime: selectedNodeData.data.optimisticTime || '',
+        pessimisticTime: selectedNodeData.data.pessimisticTime || '',
+        percentComplete: selectedNodeData.data.percentComplete ?? '',
+        remainingTime: selectedNodeData.data.remainingTime ?? '',
+        actualTime: selectedNodeData.data.actualTime || '',
+        assignee: selectedNodeData.data.assignee || null,
+        targetDate: selectedNodeData.data.targetDate || '',
         note: selectedNodeData.data.note || '',
       });
     }
@@ -150,6 +223,31 @@ const Sidebar = ({ onMinimize }) => {
     };
   }, [selectedNode, updateTask]);
 
+  const showThreePoint = threePointOpen || Boolean(formData.optimisticTime || formData.pessimisticTime);
+  const progress = getTaskProgress(formData, settings);
+
+  // Tasks on the path to the selected goal, least slack first (backward pass required)
+  const floatEntries = schedule?.get(selectedNode)?.totalFloat !== undefined
+    ? [...schedule.entries()]
+        .filter(([id]) => id !== selectedNode)
+        .map(([id, entry]) => ({ id, ...entry, title: nodes.find(n => n.id === id)?.data.title }))
+        .sort((a, b) => a.totalFloat - b.totalFloat || a.earlyStart - b.earlyStart)
+    : [];
+
+  // Unfinished dependencies holding this task up, with the chains that unblock them
+  const blockers = useMemo(
+    () => (selectedNode ? findBlockers(selectedNode, nodes, edges) : []),
+    [selectedNode, nodes, edges]
+  );
+  const titleOf = (id) => nodes.find(n => n.id === id)?.data.title || 'Untitled Task';
+
+  // Ready tasks leading to this goal, best place to start first
+  const rankedFrontier = frontierRanking
+    ? [...frontierRanking.entries()]
+        .map(([id, impact]) => ({ id, ...impact, title: nodes.find(n => n.id === id)?.data.title }))
+        .sort((a, b) => a.rank - b.rank)
+    : [];
+
   // Show welcome panel if no node is selected
   if (!selectedNode) {
     return (
@@ -209,7 +307,14 @@ const Sidebar = ({ onMinimize }) => {
                   <span className="text-blue-500 font-bold">⏱</span>
                   <span className="text-sm font-bold text-blue-900 dark:text-blue-300">Time Estimation</span>
                 </div>
-                <p className="text-xs text-blue-800 dark:text-blue-400 leading-relaxed">Σ (sum) and ↓ (min) show time to reach selected task.</p>
+                <p className="text-xs text-blue-800 dark:text-blue-400 leading-relaxed">Σ (sum) and ↓ (min) show time to reach selected task. 👥 (team) respects who can do the work.</p>
+              </div>
+              <div className="p-3 bg-gray-50 dark:bg-gray-900/10 rounded-xl border border-gray-100 dark:border-gray-700">
+                <div className="flex items-center gap-2 mb-0.5">
+                  <span className="font-bold">📅</span>
+                  <span className="text-sm font-bold text-gray-900 dark:text-gray-300">Calendar Dates</span>
+                </div>
+                <p className="text-xs text-gray-700 dark:text-gray-400 leading-relaxed">Earliest start and finish dates follow the working week and holidays in Project Settings.</p>
               </div>
             </div>
           </div>
@@ -262,6 +367,9 @@ const Sidebar = ({ onMinimize }) => {
     );
   }
 
+  const isMilestoneNode = isMilestone(selectedNodeData);
+  const isSubprojectNode = isSubproject(selectedNodeData);
+
   return (
     <div className={`
       ${mobileEditOpen ? 'fixed bottom-0 left-0 right-0 h-[75dvh] z-50 flex shadow-[0_-8px_30px_rgb(0,0,0,0.12)] rounded-t-3xl' : 'hidden md:flex w-80 z-20'} 
@@ -269,7 +377,7 @@ const Sidebar = ({ onMinimize }) => {
     `}>
       {/* Header */}
       <div className="px-6 py-5 border-b border-gray-200 dark:border-gray-700 flex items-center justify-between bg-gray-50/50 dark:bg-gray-800/50">
-        <h2 className="font-bold text-gray-900 dark:text-gray-100 tracking-tight">Task Details</h2>
+        <h2 className="font-bold text-gray-900 dark:text-gray-100 tracking-tight">{isMilestoneNode ? 'Milestone Details' : (isSubprojectNode ? 'Subproject Details' : 'Task Details')}</h2>
         <button
           onClick={handleClose}
           className="p-1.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-800 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-all active:scale-90"
@@ -314,33 +422,37 @@ const Sidebar = ({ onMinimize }) => {
           />
         </div>
 
-        {/* Status */}
-        <div className="space-y-1.5">
-          <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
-            Status
-          </label>
-          <div className="grid grid-cols-2 gap-2">
-            {[
-              { value: 'todo', label: 'To Do' },
-              { value: 'in-progress', label: 'In Progress' },
-              { value: 'done', label: 'Done' },
-              { value: 'someday', label: 'Someday' },
-            ].map((status) => (
-              <button
-                key={status.value}
-                type="button"
-                onClick={() => handleStatusChange(status.value)}
-                className={`px-3 py-2 text-sm font-bold rounded-xl border transition-all active:scale-95 ${
-                  formData.status === status.value
-                    ? 'bg-blue-600 text-white border-blue-600 shadow-md'
-                    : 'bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-400 border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 hover:border-gray-300 dark:hover:border-gray-600'
-                }`}
-              >
-                {status.label}
-              </button>
-            ))}
+        {/* Status (a subproject's comes from its file, with the link shown instead) */}
+        {isSubprojectNode ? (
+          <SubprojectPanel node={selectedNodeData} />
+        ) : (
+          <div className="space-y-1.5">
+            <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+              Status
+            </label>
+            <div className="grid grid-cols-2 gap-2">
+              {[
+                { value: 'todo', label: 'To Do' },
+                { value: 'in-progress', label: 'In Progress' },
+                { value: 'done', label: 'Done' },
+                { value: 'someday', label: 'Someday' },
+              ].map((status) => (
+                <button
+                  key={status.value}
+                  type="button"
+                  onClick={() => handleStatusChange(status.value)}
+                  className={`px-3 py-2 text-sm font-bold rounded-xl border transition-all active:scale-95 ${
+                    formData.status === status.value
+                      ? 'bg-blue-600 text-white border-blue-600 shadow-md'
+                      : 'bg-white dark:bg-gray-700 text-gray-600 dark:text-gray-400 border-gray-200 dark:border-gray-700 hover:bg-gray-50 dark:hover:bg-gray-600 hover:border-gray-300 dark:hover:border-gray-600'
+                  }`}
+                >
+                  {status.label}
+                </button>
+              ))}
+            </div>
           </div>
-        </div>
+        )}
 
         {/* Primary Tag */}
         <div className="space-y-1.5">
@@ -420,43 +532,325 @@ const Sidebar = ({ onMinimize }) => {
           </div>
         </div>
 
-        {/* Estimated Time */}
-        <div className="space-y-1.5">
-          <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
-            Estimated Time
-          </label>
-          <div className="flex gap-2">
-            {/* Number Input */}
+        {/* Assignee */}
+        {!isMilestoneNode && !isSubprojectNode && people.length > 0 && (
+          <div className="space-y-1.5">
+            <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+              Assignee
+            </label>
+            <div className="relative">
+              <select
+                name="assignee"
+                value={formData.assignee || ''}
+                onChange={handleAssigneeChange}
+                className="w-full px-4 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none cursor-pointer appearance-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+              >
+                <option value="">Unassigned (anyone)</option>
+                {people.map((person) => (
+                  <option key={person.id} value={person.id}>
+                    {person.name}
+                  </option>
+                ))}
+              </select>
+              <div className="absolute right-4 top-1/2 -translate-y-1/2 pointer-events-none text-gray-400">
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                  <path fillRule="evenodd" d="M5.293 7.293a1 1 0 011.414 0L10 10.586l3.293-3.293a1 1 0 111.414 1.414l-4 4a1 1 0 01-1.414 0l-4-4a1 1 0 010-1.414z" clipRule="evenodd" />
+                </svg>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Estimated Time (milestones have no duration: target date and forecast instead;
+            a subproject's is the remaining time read from its file) */}
+        {isMilestoneNode ? (
+          <div className="space-y-1.5">
+            <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+              Target Date
+            </label>
             <input
-              type="number"
-              name="estimatedTime"
-              value={formData.estimatedTime}
-              onChange={handleChange}
-              step="0.5"
-              min="0"
-              className="w-24 px-4 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
-              placeholder="0"
+              type="date"
+              value={formData.targetDate}
+              onChange={handleTargetDateChange}
+              className="w-full px-4 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
             />
-            
-            {/* Unit Selection */}
-            <div className="flex flex-1 bg-gray-50 dark:bg-gray-700 p-1 rounded-xl border border-gray-200 dark:border-gray-700 shadow-inner">
-              {['days', 'weeks', 'months'].map((unit) => (
+            {milestoneRisk && milestoneRisk.risk !== 'done' && (
+              <div className="grid grid-cols-2 gap-3 bg-gray-50 dark:bg-gray-800 rounded-xl p-3 border border-gray-100 dark:border-gray-700">
+                <div className="flex flex-col">
+                  <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">Forecast</span>
+                  <span className="text-sm font-bold text-gray-900 dark:text-gray-100">
+                    {milestoneRisk.risk === 'unknown' ? '—' : formatDate(milestoneRisk.forecastDate, true)}
+                  </span>
+                </div>
+                <div className="flex flex-col">
+                  <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">90% By</span>
+                  <span className="text-sm font-bold text-gray-900 dark:text-gray-100">
+                    {milestoneRisk.p90Date ? formatDate(milestoneRisk.p90Date, true) : '—'}
+                  </span>
+                </div>
+                <p className="col-span-2 text-[11px] text-gray-500 dark:text-gray-400">
+                  <span className="font-bold">{RISK_LABELS[milestoneRisk.risk]}</span>
+                  {milestoneRisk.risk === 'unknown' && ': a task leading here has no estimate yet'}
+                </p>
+              </div>
+            )}
+          </div>
+        ) : !isSubprojectNode && (
+          <div className="space-y-1.5">
+            <div className="flex items-center justify-between">
+              <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+                {showThreePoint ? 'Estimated Time (Likely)' : 'Estimated Time'}
+              </label>
+              <button
+                type="button"
+                onClick={handleToggleThreePoint}
+                className={`text-[10px] font-bold uppercase tracking-wider px-2 py-0.5 rounded-lg border transition-colors ${
+                  showThreePoint
+                    ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400 border-blue-200 dark:border-blue-800'
+                    : 'text-gray-400 dark:text-gray-500 border-gray-200 dark:border-gray-700 hover:text-gray-600 dark:hover:text-gray-300'
+                }`}
+                title="Add optimistic and pessimistic estimates for P50 / P90 ranges"
+              >
+                3-point
+              </button>
+            </div>
+            <div className="flex gap-2">
+              {/* Number Input */}
+              <input
+                type="number"
+                name="estimatedTime"
+                value={formData.estimatedTime}
+                onChange={handleChange}
+                step="0.5"
+                min="0"
+                className="w-24 px-4 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+                placeholder="0"
+              />
+              
+              {/* Unit Selection */}
+              <div className="flex flex-1 bg-gray-50 dark:bg-gray-700 p-1 rounded-xl border border-gray-200 dark:border-gray-700 shadow-inner">
+                {TIME_UNITS.map((unit) => (
+                  <button
+                    key={unit}
+                    type="button"
+                    onClick={() => handleTimeUnitChange(unit)}
+                    className={`flex-1 py-1.5 text-[11px] font-bold uppercase tracking-tight rounded-xl transition-all active:scale-95 ${
+                      formData.estimatedTimeUnit === unit
+                        ? 'bg-white dark:bg-gray-600 text-blue-600 dark:text-blue-300 shadow-sm border border-blue-100 dark:border-blue-900/50'
+                        : 'text-gray-400 dark:text-gray-600 hover:text-gray-600 dark:hover:text-gray-400'
+                    }`}
+                  >
+                    {unit}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {showThreePoint && (
+              <div className="grid grid-cols-2 gap-2">
+                {[
+                  { name: 'optimisticTime', label: 'Optimistic' },
+                  { name: 'pessimisticTime', label: 'Pessimistic' },
+                ].map(field => (
+                  <div key={field.name} className="flex flex-col gap-1">
+                    <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">{field.label}</span>
+                    <input
+                      type="number"
+                      name={field.name}
+                      value={formData[field.name]}
+                      onChange={handleChange}
+                      step="0.5"
+                      min="0"
+                      className="w-full px-4 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+                      placeholder={formData.estimatedTime || '0'}
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Progress (in-progress tasks forecast from remaining work) */}
+        {!isMilestoneNode && !isSubprojectNode && (formData.status === 'in-progress' || formData.status === 'done') && (
+          <div className="space-y-1.5">
+            <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+              Progress
+            </label>
+            <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-3 border border-gray-100 dark:border-gray-700 space-y-3">
+              {formData.status === 'in-progress' && (
+                <>
+                  <div className="flex items-center gap-3">
+                    <input
+                      type="range"
+                      value={progress.percent}
+                      onChange={handlePercentChange}
+                      min="0"
+                      max="100"
+                      step="5"
+                      disabled={!formData.estimatedTime}
+                      className="flex-1 accent-blue-600 disabled:opacity-50"
+                    />
+                    <span className="w-10 text-right text-sm font-bold text-gray-900 dark:text-gray-100">{progress.percent}%</span>
+                  </div>
+                  <div className="flex flex-col gap-1">
+                    <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">Remaining ({formData.estimatedTimeUnit})</span>
+                    <input
+                      type="number"
+                      name="remainingTime"
+                      value={formData.remainingTime}
+                      onChange={handleChange}
+                      step="0.5"
+                      min="0"
+                      disabled={!formData.estimatedTime}
+                      className="w-full px-4 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100 disabled:opacity-50"
+                      placeholder={formData.estimatedTime ? String(Math.round(progress.remainingFraction * formData.estimatedTime * 10) / 10) : 'Add an estimate first'}
+                    />
+                  </div>
+                </>
+              )}
+              <div className="flex flex-col gap-1">
+                <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">Time Logged ({formData.estimatedTimeUnit})</span>
+                <input
+                  type="number"
+                  name="actualTime"
+                  value={formData.actualTime}
+                  onChange={handleChange}
+                  step="0.5"
+                  min="0"
+                  className="w-full px-4 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl focus:ring-2 focus:ring-blue-500 focus:border-blue-500 outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+                  placeholder="0"
+                />
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Schedule (forward pass on the project calendar) */}
+        {!isMilestoneNode && scheduledDates && (
+          <div className="space-y-1.5">
+            <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+              Schedule
+            </label>
+            <div className="grid grid-cols-2 gap-3 bg-gray-50 dark:bg-gray-800 rounded-xl p-3 border border-gray-100 dark:border-gray-700">
+              <div className="flex flex-col">
+                <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">Earliest Start</span>
+                <span className="text-sm font-bold text-gray-900 dark:text-gray-100">{formatDate(scheduledDates.startDate, true)}</span>
+              </div>
+              <div className="flex flex-col">
+                <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">Earliest Finish</span>
+                <span className="text-sm font-bold text-gray-900 dark:text-gray-100">{formatDate(scheduledDates.finishDate, true)}</span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {/* Why this task can't start yet */}
+        {blockers.length > 0 && (
+          <div className="space-y-1.5">
+            <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+              Blocked By
+            </label>
+            <div className="bg-gray-50 dark:bg-gray-800 rounded-xl border border-gray-100 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700 overflow-hidden">
+              {blockers.map(blocker => (
+                <div key={blocker.id} className="px-3 py-2 space-y-1">
+                  <button
+                    type="button"
+                    onClick={() => handleFocusNode(blocker.id)}
+                    className="w-full flex items-center justify-between gap-2 text-left hover:text-blue-600 dark:hover:text-blue-400 transition-colors"
+                    title="Show on canvas"
+                  >
+                    <span className="text-xs font-bold text-gray-700 dark:text-gray-300 truncate">{titleOf(blocker.id)}</span>
+                    <span className="flex-shrink-0 text-[10px] px-1.5 py-0.5 rounded-full font-bold bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-300">
+                      {blocker.type === 'SS' ? 'not started' : 'not done'}
+                    </span>
+                  </button>
+                  {blocker.chains.length === 0 && (
+                    <p className="text-[11px] text-gray-400 dark:text-gray-500">Nothing before it can start (check for a dependency cycle).</p>
+                  )}
+                  {blocker.chains.map(chain => (
+                    <div key={chain[0]} className="flex flex-wrap items-center gap-1 text-[11px]">
+                      <span className="text-gray-400 dark:text-gray-500">{chain.length === 1 ? 'Ready:' : 'Start with'}</span>
+                      {chain.map((id, position) => (
+                        <span key={id} className="flex items-center gap-1">
+                          {position > 0 && <span className="text-gray-300 dark:text-gray-600">→</span>}
+                          <button
+                            type="button"
+                            onClick={() => handleFocusNode(id)}
+                            className={`font-bold truncate max-w-[10rem] hover:underline ${
+                              position === 0 ? 'text-orange-600 dark:text-orange-400' : 'text-gray-600 dark:text-gray-400'
+                            }`}
+                            title="Show on canvas"
+                          >
+                            {titleOf(id)}
+                          </button>
+                        </span>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Frontier tasks ranked by downstream impact */}
+        {rankedFrontier.length > 0 && (
+          <div className="space-y-1.5">
+            <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+              Start Here
+            </label>
+            <div className="bg-gray-50 dark:bg-gray-800 rounded-xl border border-gray-100 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700 overflow-hidden">
+              {rankedFrontier.map(entry => (
                 <button
-                  key={unit}
+                  key={entry.id}
                   type="button"
-                  onClick={() => handleTimeUnitChange(unit)}
-                  className={`flex-1 py-1.5 text-[11px] font-bold uppercase tracking-tight rounded-xl transition-all active:scale-95 ${
-                    formData.estimatedTimeUnit === unit
-                      ? 'bg-white dark:bg-gray-600 text-blue-600 dark:text-blue-300 shadow-sm border border-blue-100 dark:border-blue-900/50'
-                      : 'text-gray-400 dark:text-gray-600 hover:text-gray-600 dark:hover:text-gray-400'
-                  }`}
+                  onClick={() => handleFocusNode(entry.id)}
+                  className="w-full flex items-center gap-2 px-3 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                  title={describeFrontierImpact(entry, settings)}
                 >
-                  {unit}
+                  <span className="flex-shrink-0 w-5 h-5 flex items-center justify-center rounded-full bg-orange-500 text-white text-[10px] font-bold">{entry.rank}</span>
+                  <span className="flex-1 min-w-0 text-xs font-bold text-gray-700 dark:text-gray-300 truncate">{entry.title || 'Untitled Task'}</span>
+                  {entry.critical > 0 && (
+                    <span className="flex-shrink-0 text-[11px] font-bold text-gray-500 dark:text-gray-400">−{formatTime(entry.critical, settings)}</span>
+                  )}
                 </button>
               ))}
             </div>
           </div>
-        </div>
+        )}
+
+        {/* Float (slack) of each task on the path to this goal */}
+        {floatEntries.length > 0 && (
+          <div className="space-y-1.5">
+            <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+              Float
+            </label>
+            <div className="bg-gray-50 dark:bg-gray-800 rounded-xl border border-gray-100 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700 overflow-hidden">
+              {floatEntries.map(entry => (
+                <button
+                  key={entry.id}
+                  type="button"
+                  onClick={() => handleFocusNode(entry.id)}
+                  className="w-full flex items-center justify-between gap-2 px-3 py-2 text-left hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                  title="Show on canvas"
+                >
+                  <span className="text-xs font-bold text-gray-700 dark:text-gray-300 truncate">{entry.title || 'Untitled Task'}</span>
+                  {entry.isCritical ? (
+                    <span className="flex-shrink-0 text-[10px] px-1.5 py-0.5 rounded-full font-bold bg-red-500 text-white">Critical</span>
+                  ) : (
+                    <span className="flex-shrink-0 text-[11px] font-bold text-gray-500 dark:text-gray-400">+{formatTime(entry.totalFloat, settings)}</span>
+                  )}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* Tasks on the path whose estimate was assumed */}
+        <NeedsEstimates taskIds={cumulativeTime?.assumedIds} onFocus={handleFocusNode} />
+
+        {/* Monte Carlo completion forecast (runs in a Web Worker) */}
+        <ForecastPanel schedule={schedule} goalId={selectedNode} />
 
         {/* Note */}
         <div className="space-y-1.5">
@@ -0,0 +1,156 @@
+import { memo, useState } from 'react';
+import { Handle, Position } from '@xyflow/react';
+import { useStore } from '../store/useStore';
+import { SUBPROJECT_STATE_LABELS, getSubprojectState } from '../utils/subprojectUtils';
+import { describeFrontierImpact, formatTime } from '../utils/timeUtils';
+
+const statusColors = {
+  'todo': 'bg-gray-100 dark:bg-gray-800 border-gray-300 dark:border-gray-700 text-gray-700 dark:text-gray-300',
+  'in-progress': 'bg-blue-50 dark:bg-blue-800 border-blue-400 dark:border-blue-600 text-blue-700 dark:text-blue-200',
+  'done': 'bg-green-50 dark:bg-green-800 border-green-400 dark:border-green-600 text-green-700 dark:text-green-200',
+  'someday': 'bg-gray-100 dark:bg-gray-800 border-gray-300 dark:border-gray-700 border-dashed text-gray-700 dark:text-gray-400',
+};
+
+const stateColors = {
+  unlinked: 'bg-gray-200 dark:bg-gray-700 text-gray-600 dark:text-gray-300 border-gray-300 dark:border-gray-600',
+  missing: 'bg-red-500 text-white border-red-600',
+  stale: 'bg-amber-400 text-amber-950 border-amber-500',
+  fresh: 'bg-white/70 dark:bg-black/20 text-green-700 dark:text-green-300 border-green-400 dark:border-green-600',
+};
+
+const stateHints = {
+  unlinked: 'Pick the project file this node stands for',
+  missing: 'The file or its goal task could not be read on the last refresh',
+  stale: 'The file changed or hasn\'t been read for a while: refresh to update',
+  fresh: 'Refreshed from the file recently',
+};
+
+// Stands for a goal task in another project file (see subprojectUtils)
+const SubprojectNode = ({ id, data, selected }) => {
+  const deleteTask = useStore((state) => state.deleteTask);
+  const refreshSubproject = useStore((state) => state.refreshSubproject);
+  const sourceChanged = useStore((state) => state.subprojectFiles[id]?.changed || false);
+  const settings = useStore((state) => state.settings);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const handleDelete = (e) => {
+    e.stopPropagation();
+    deleteTask(id);
+  };
+
+  const handleRefresh = (e) => {
+    e.stopPropagation();
+    setRefreshing(true);
+    refreshSubproject(id).then(result => {
+      setRefreshing(false);
+      if (result && !result.success && result.error !== 'Cancelled') {
+        alert(`Failed to refresh subproject: ${result.error}`);
+      }
+    });
+  };
+
+  const state = getSubprojectState(data, sourceChanged);
+  const status = data.status || 'todo';
+  const nodeOpacity = status === 'done' || status === 'someday' ? 'opacity-60' : 'opacity-100';
+  const progress = data.progress;
+
+  return (
+    <div className={`relative group ${nodeOpacity}`}>
+      <div
+        className={`
+          min-w-[200px] max-w-[260px] pl-4 pr-8 py-3 rounded-xl shadow-xl border-2 transition-all duration-300
+          shadow-[6px_6px_0_-2px_rgba(99,102,241,0.35)]
+          ${statusColors[status]}
+          ${selected ? 'ring-2 ring-purple-500 ring-offset-4 ring-offset-white dark:ring-offset-gray-900 scale-105 shadow-2xl' : 'hover:shadow-2xl hover:-translate-y-1'}
+          ${data.isFrontier ? 'ring-4 ring-orange-500 ring-offset-2 ring-offset-white dark:ring-offset-gray-900 shadow-orange-500/30' : ''}
+        `}
+      >
+        {/* Input Handle (left side) */}
+        <Handle
+          type="target"
+          position={Position.Left}
+          className="!w-3.5 !h-3.5 !bg-blue-500 !border-2 !border-white dark:!border-gray-900 !shadow-md hover:!scale-125 transition-transform"
+        />
+
+        {/* Frontier rank - which ready task to start first for the selected goal */}
+        {data.isFrontier && data.frontierRank && (
+          <span
+            className="absolute -top-3 -left-3 z-10 min-w-6 h-6 px-1.5 flex items-center justify-center rounded-full bg-orange-500 text-white text-[11px] font-bold shadow-md border-2 border-white dark:border-gray-900"
+            title={`#${data.frontierRank.rank} to start: ${describeFrontierImpact(data.frontierRank, settings)}`}
+          >
+            {data.frontierRank.rank}
+          </span>
+        )}
+
+        <p className="text-[10px] font-bold uppercase tracking-wide opacity-60 truncate" title={data.fileName || undefined}>
+          📁 {data.fileName || 'No file linked'}
+        </p>
+        <h3 className="font-bold text-[13px] leading-tight break-words">
+          {data.title || 'Untitled Subproject'}
+        </h3>
+        {data.goalTitle && (
+          <p className="mt-0.5 text-[10px] font-bold opacity-70 break-words" title="Goal task in the linked file">
+            🎯 {data.goalTitle}
+          </p>
+        )}
+
+        {progress && (
+          <div className="mt-2 flex items-center gap-2 text-[10px] font-bold">
+            <div className="flex-1 h-1.5 rounded-full bg-black/10 dark:bg-white/10 overflow-hidden">
+              <div
+                className="h-full bg-green-500"
+                style={{ width: `${progress.total > 0 ? (progress.done / progress.total) * 100 : 0}%` }}
+              />
+            </div>
+            <span title="Tasks done on the way to the goal">{progress.done}/{progress.total}</span>
+            {status !== 'done' && (
+              <span title="Remaining (↓, parallel) as calculated in the linked file">
+                {data.estimatedTime === null ? '?' : (formatTime(data.estimatedTime, settings) || '0 days')}
+              </span>
+            )}
+          </div>
+        )}
+
+        {/* Refresh / delete - Absolutely positioned */}
+        <div className="absolute top-1.5 right-1.5 flex flex-col">
+          <button
+            onClick={handleDelete}
+            className="text-gray-400 hover:text-red-500 transition-colors p-1 rounded-full hover:bg-red-50 dark:hover:bg-red-900/20 opacity-0 group-hover:opacity-100"
+            title="Delete subproject"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-3.5 w-3.5" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+          <button
+            onClick={handleRefresh}
+            disabled={refreshing}
+            className="nodrag text-gray-400 hover:text-blue-500 transition-colors p-1 rounded-full hover:bg-blue-50 dark:hover:bg-blue-900/20 disabled:opacity-50"
+            title={data.fileName ? `Refresh from ${data.fileName}` : 'Link a project file'}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className={`h-3.5 w-3.5 ${refreshing ? 'animate-spin' : ''}`} viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4 2a1 1 0 011 1v2.101a7.002 7.002 0 0111.601 2.566 1 1 0 11-1.885.666A5.002 5.002 0 005.999 7H9a1 1 0 010 2H4a1 1 0 01-1-1V3a1 1 0 011-1zm.008 9.057a1 1 0 011.276.61A5.002 5.002 0 0014.001 13H11a1 1 0 110-2h5a1 1 0 011 1v5a1 1 0 11-2 0v-2.101a7.002 7.002 0 01-11.601-2.566 1 1 0 01.61-1.276z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Output Handle (right side) */}
+        <Handle
+          type="source"
+          position={Position.Right}
+          className="!w-3.5 !h-3.5 !bg-green-500 !border-2 !border-white dark:!border-gray-900 !shadow-md hover:!scale-125 transition-transform"
+        />
+
+        {/* Link state - on top of node, right side */}
+        <span
+          className={`absolute -top-3 right-2 text-[9px] px-1.5 py-0.5 rounded-full font-bold border shadow-sm ${stateColors[state]}`}
+          title={data.linkError || stateHints[state]}
+        >
+          {SUBPROJECT_STATE_LABELS[state]}
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default memo(SubprojectNode);
@@ -0,0 +1,130 @@
+import { useState } from 'react';
+import { useStore } from '../store/useStore';
+import { SUBPROJECT_STATE_LABELS, getSubprojectState } from '../utils/subprojectUtils';
+import { formatTime } from '../utils/timeUtils';
+
+const stateTextColors = {
+  unlinked: 'text-gray-500 dark:text-gray-400',
+  missing: 'text-red-600 dark:text-red-400',
+  stale: 'text-amber-600 dark:text-amber-400',
+  fresh: 'text-green-600 dark:text-green-400',
+};
+
+const statusLabels = {
+  'todo': 'To Do',
+  'in-progress': 'In Progress',
+  'done': 'Done',
+  'someday': 'Someday',
+};
+
+// Linked file, goal and copied summary of a subproject node; status and estimate come
+// from the file, so they replace the task fields in the sidebar
+const SubprojectPanel = ({ node }) => {
+  const linkSubproject = useStore((state) => state.linkSubproject);
+  const refreshSubproject = useStore((state) => state.refreshSubproject);
+  const setSubprojectGoal = useStore((state) => state.setSubprojectGoal);
+  const sourceChanged = useStore((state) => state.subprojectFiles[node.id]?.changed || false);
+  const canRefresh = useStore((state) => Boolean(state.subprojectFiles[node.id]?.handle));
+  const settings = useStore((state) => state.settings);
+  const [busy, setBusy] = useState(false);
+
+  const { data } = node;
+  const state = getSubprojectState(data, sourceChanged);
+
+  const run = (action) => {
+    setBusy(true);
+    action().then(result => {
+      setBusy(false);
+      if (result && !result.success && result.error !== 'Cancelled') {
+        alert(`Failed to read subproject: ${result.error}`);
+      }
+    });
+  };
+
+  return (
+    <div className="space-y-1.5">
+      <label className="block text-[11px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wider">
+        Subproject
+      </label>
+      <div className="bg-gray-50 dark:bg-gray-800 rounded-xl p-3 border border-gray-100 dark:border-gray-700 space-y-3">
+        <div className="flex items-center justify-between gap-2">
+          <span className="text-sm font-bold text-gray-900 dark:text-gray-100 truncate" title={data.fileName || undefined}>
+            📁 {data.fileName || 'No file linked'}
+          </span>
+          <span className={`flex-shrink-0 text-[10px] font-bold uppercase ${stateTextColors[state]}`}>
+            {SUBPROJECT_STATE_LABELS[state]}
+          </span>
+        </div>
+        {data.linkError && (
+          <p className="text-[11px] text-red-600 dark:text-red-400">{data.linkError}</p>
+        )}
+        {sourceChanged && !data.linkError && (
+          <p className="text-[11px] text-amber-600 dark:text-amber-400">The file changed since it was read.</p>
+        )}
+
+        {data.goalOptions.length > 0 && (
+          <div className="flex flex-col gap-1">
+            <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">Goal Task</span>
+            <select
+              value={data.goalTaskId || ''}
+              onChange={(e) => run(() => setSubprojectGoal(node.id, e.target.value))}
+              disabled={busy}
+              className="w-full px-3 py-2 border border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-700 rounded-xl outline-none shadow-sm text-sm font-bold text-gray-800 dark:text-gray-100"
+            >
+              {data.goalOptions.map(option => (
+                <option key={option.id} value={option.id}>{option.title}</option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {data.progress && (
+          <div className="grid grid-cols-3 gap-3">
+            <div className="flex flex-col">
+              <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">Status</span>
+              <span className="text-sm font-bold text-gray-900 dark:text-gray-100">{statusLabels[data.status]}</span>
+            </div>
+            <div className="flex flex-col">
+              <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">Done</span>
+              <span className="text-sm font-bold text-gray-900 dark:text-gray-100">{data.progress.done}/{data.progress.total}</span>
+            </div>
+            <div className="flex flex-col" title="Earliest finish of the goal (↓, parallel) in the linked file">
+              <span className="text-[10px] text-gray-400 dark:text-gray-500 uppercase font-bold">Remaining</span>
+              <span className="text-sm font-bold text-gray-900 dark:text-gray-100">
+                {data.estimatedTime === null ? '?' : (formatTime(data.estimatedTime, settings) || '0 days')}
+              </span>
+            </div>
+          </div>
+        )}
+
+        {data.refreshedAt && (
+          <p className="text-[11px] text-gray-500 dark:text-gray-400">
+            Read {new Date(data.refreshedAt).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })}
+            {!canRefresh && ': pick the file again to refresh after reopening the app'}
+          </p>
+        )}
+
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={() => run(() => refreshSubproject(node.id))}
+            disabled={busy || !data.fileName}
+            className="flex-1 px-3 py-1.5 text-xs font-bold rounded-lg bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-40 transition-colors"
+          >
+            Refresh
+          </button>
+          <button
+            type="button"
+            onClick={() => run(() => linkSubproject(node.id))}
+            disabled={busy}
+            className="flex-1 px-3 py-1.5 text-xs font-bold rounded-lg border border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40 transition-colors"
+          >
+            {data.fileName ? 'Change File' : 'Link File'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SubprojectPanel;
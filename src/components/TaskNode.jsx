@@ -1,7 +1,8 @@
 import { memo } from 'react';
 import { Handle, Position } from '@xyflow/react';
 import { useStore } from '../store/useStore';
-import { formatTime } from '../utils/timeUtils';
+import { describeFrontierImpact, describeTimeUnits, formatTime, formatTimeRange, getTaskProgress } from '../utils/timeUtils';
+import { formatDate } from '../utils/calendarUtils';
 import Tooltip from './Tooltip';
 
 const statusColors = {
@@ -18,19 +19,67 @@ const statusLabels = {
   'someday': 'Someday',
 };
 
+const RANGE_HINT = 'Ranges are P50 / P90: 50% and 90% chance of finishing within';
+
+const TIME_ROW_HINTS = {
+  'Σ': 'Σ = Sum (serial execution), total time if all tasks are done one after another',
+  '↓': '↓ = Min (parallel execution), minimum time with maximum parallelism',
+  '👥': '👥 = Team (resource-levelled), finish time with the people and capacity available',
+};
+
+// Badge height grows with the number of rows
+const BADGE_OFFSETS = ['-top-10', '-top-14', '-top-[4.5rem]'];
+
 const TaskNode = ({ id, data, selected }) => {
   const deleteTask = useStore((state) => state.deleteTask);
   const tags = useStore((state) => state.tags);
   const colorMode = useStore((state) => state.colorMode);
   const darkMode = useStore((state) => state.darkMode);
+  const people = useStore((state) => state.people);
+  const settings = useStore((state) => state.settings);
+  const updateSettings = useStore((state) => state.updateSettings);
 
   const handleDelete = (e) => {
     e.stopPropagation();
     deleteTask(id);
   };
 
-  // Get primary tag
+  // Time badge rows: Σ always, ↓ when parallelism helps, 👥 when a team is configured
+  const timeRows = [];
+  if (data.cumulativeTime) {
+    timeRows.push({ symbol: 'Σ', days: data.cumulativeTime.sum, variance: data.cumulativeTime.sumVariance });
+    if (data.cumulativeTime.min !== data.cumulativeTime.sum) {
+      timeRows.push({ symbol: '↓', days: data.cumulativeTime.min, variance: data.cumulativeTime.minVariance });
+    }
+    if (data.leveledTime !== undefined) {
+      timeRows.push({ symbol: '👥', days: data.leveledTime });
+    }
+  }
+
+  // Times that rely on assumed estimates (Project Settings > Missing Estimates)
+  const assumedCount = data.cumulativeTime?.assumedIds?.length || 0;
+  const assumedHint = assumedCount > 0
+    ? `\n\n≈ Includes ${assumedCount} assumed ${assumedCount === 1 ? 'estimate' : 'estimates'}${
+      data.cumulativeTime.isAssumed ? ' (this task has no estimate yet)' : ''
+    }`
+    : '';
+
+  // Calibrated times use each tag's actual/estimated ratio (Project Settings > Estimate Calibration)
+  const handleToggleCalibration = (e) => {
+    e.stopPropagation();
+    updateSettings({ calibrateEstimates: !settings.calibrateEstimates });
+  };
+  const calibrationHint = data.calibrationAvailable
+    ? `\n\n${settings.calibrateEstimates ? 'Calibrated with actual durations of completed tasks' : 'Raw estimates'} (click cal/raw to switch)`
+    : '';
+
+  // Progress bar for started tasks (done tasks are already faded out)
+  const progress = getTaskProgress(data, settings);
+  const showProgress = data.status === 'in-progress' && data.estimatedTime && (progress.percent > 0 || progress.actual > 0);
+
+  // Get primary tag and assignee
   const primaryTag = tags.find((tag) => tag.id === data.primaryTag);
+  const assignee = people.find((person) => person.id === data.assignee);
 
   // Determine opacity for done and someday tasks
   const nodeOpacity = data.status === 'done' ? 'opacity-40' : (data.status === 'someday' ? 'opacity-60' : 'opacity-100');
@@ -58,6 +107,7 @@ const TaskNode = ({ id, data, selected }) => {
           ${nodeBgClass}
           ${selected ? 'ring-2 ring-purple-500 ring-offset-4 ring-offset-white dark:ring-offset-gray-900 scale-105 shadow-2xl' : 'hover:shadow-2xl hover:-translate-y-1'}
           ${data.isFrontier ? 'ring-4 ring-orange-500 ring-offset-2 ring-offset-white dark:ring-offset-gray-900 shadow-orange-500/30' : ''}
+          ${data.isCritical && !data.isFrontier && !selected ? 'ring-2 ring-red-500 ring-offset-2 ring-offset-white dark:ring-offset-gray-900' : ''}
         `}
       >
         {/* Input Handle (left side) */}
@@ -67,6 +117,16 @@ const TaskNode = ({ id, data, selected }) => {
           className="!w-3.5 !h-3.5 !bg-blue-500 !border-2 !border-white dark:!border-gray-900 !shadow-md hover:!scale-125 transition-transform"
         />
 
+        {/* Frontier rank - which ready task to start first for the selected goal */}
+        {data.isFrontier && data.frontierRank && (
+          <span
+            className="absolute -top-3 -left-3 z-10 min-w-6 h-6 px-1.5 flex items-center justify-center rounded-full bg-orange-500 text-white text-[11px] font-bold shadow-md border-2 border-white dark:border-gray-900"
+            title={`#${data.frontierRank.rank} to start: ${describeFrontierImpact(data.frontierRank, settings)}`}
+          >
+            {data.frontierRank.rank}
+          </span>
+        )}
+
         {/* Header */}
         <div className={`px-3 pt-2.5 ${data.description ? 'pb-2.5 border-b border-inherit' : 'pb-3.5'} relative`}>
           {/* Delete button - Absolutely positioned */}
@@ -113,15 +173,33 @@ const TaskNode = ({ id, data, selected }) => {
               <span className="inline-block text-[9px] px-1.5 py-0.5 rounded-full font-bold bg-white/50 dark:bg-black/20 text-gray-600 dark:text-gray-400 border border-gray-200 dark:border-gray-700 shadow-sm">
                 {statusLabels[data.status]}
               </span>
+              {assignee && (
+                <span className="inline-block text-[9px] px-1.5 py-0.5 rounded-full font-bold bg-white/50 dark:bg-black/20 text-gray-600 dark:text-gray-400 border border-gray-200 dark:border-gray-700 shadow-sm">
+                  👤 {assignee.name}
+                </span>
+              )}
+              {data.isCritical && (
+                <span className="inline-block text-[9px] px-1.5 py-0.5 rounded-full font-bold bg-red-500 text-white border border-red-600 shadow-sm" title="On the critical path (zero float)">
+                  Critical
+                </span>
+              )}
               {data.estimatedTime && (
                 <span className="inline-block text-[9px] px-1.5 py-0.5 rounded-full font-bold bg-white/50 dark:bg-black/20 text-gray-600 dark:text-gray-400 border border-gray-200 dark:border-gray-700 shadow-sm">
-                  ⏱ {data.estimatedTime} {(data.estimatedTimeUnit || 'days').charAt(0)}
+                  ⏱ {(data.optimisticTime || data.pessimisticTime)
+                    ? `${data.optimisticTime || data.estimatedTime}/${data.estimatedTime}/${data.pessimisticTime || data.estimatedTime}`
+                    : data.estimatedTime} {(data.estimatedTimeUnit || 'days').charAt(0)}
                 </span>
               )}
             </div>
             <h3 className="font-bold text-[13px] leading-tight break-words text-gray-800 dark:text-gray-100">
               {data.title || 'Untitled Task'}
             </h3>
+            {data.scheduledDates && (
+              <p className="mt-1 text-[10px] font-bold text-gray-500 dark:text-gray-400" title="Earliest start → earliest finish">
+                📅 {formatDate(data.scheduledDates.startDate)}
+                {data.scheduledDates.finishDate !== data.scheduledDates.startDate && ` → ${formatDate(data.scheduledDates.finishDate)}`}
+              </p>
+            )}
           </div>
         </div>
 
@@ -141,6 +219,18 @@ const TaskNode = ({ id, data, selected }) => {
           </div>
         )}
 
+        {/* Progress */}
+        {showProgress && (
+          <div
+            className="px-3 pb-2.5"
+            title={`${progress.percent}% complete${progress.actual ? ` · ${formatTime(progress.actual, settings)} logged` : ''}`}
+          >
+            <div className="h-1.5 rounded-full bg-black/10 dark:bg-white/10 overflow-hidden">
+              <div className="h-full rounded-full bg-blue-500 transition-all duration-300" style={{ width: `${progress.percent}%` }} />
+            </div>
+          </div>
+        )}
+
         {/* Output Handle (right side) */}
         <Handle
           type="source"
@@ -149,36 +239,34 @@ const TaskNode = ({ id, data, selected }) => {
         />
         
         {/* Cumulative Time Display - on top of node, right side */}
-        {data.cumulativeTime && (
+        {timeRows.length > 0 && (
           <Tooltip
-            content={data.cumulativeTime.sum === data.cumulativeTime.min 
-              ? "Time to reach this task from frontier nodes\n\n1 week = 5 days\n1 month = 4 weeks" 
-              : "Σ = Sum (serial execution), total time if all tasks are done one after another\n↓ = Min (parallel execution), minimum time with maximum parallelism\n\n1 week = 5 days\n1 month = 4 weeks"
-            }
-            className={`absolute right-0 z-50 ${
-              data.cumulativeTime.sum === data.cumulativeTime.min ? '-top-10' : '-top-14'
-            }`}
+            content={`${timeRows.length === 1
+              ? 'Time to reach this task from frontier nodes'
+              : timeRows.map(row => TIME_ROW_HINTS[row.symbol]).join('\n')
+            }${timeRows.some(row => row.variance) ? `\n\n${RANGE_HINT}` : ''}${assumedHint}${calibrationHint}\n\n${describeTimeUnits(settings)}`}
+            className={`absolute right-0 z-50 ${BADGE_OFFSETS[timeRows.length - 1]}`}
           >
-            <div className="bg-orange-500 text-white text-[11px] font-bold px-2.5 py-1.5 rounded-xl shadow-xl cursor-help animate-in fade-in zoom-in duration-200">
-              {data.cumulativeTime.sum === data.cumulativeTime.min ? (
-                // Single time (frontier or equal)
-                <div className="flex items-center gap-1.5">
-                    <span className="opacity-70 font-mono">Σ</span>
-                    <span>{formatTime(data.cumulativeTime.sum)}</span>
-                </div>
-              ) : (
-                // Two times (sum and min)
-                <div className="text-left leading-tight">
-                  <div className="flex items-center gap-1.5">
-                    <span className="opacity-70 font-mono">Σ</span>
-                    <span>{formatTime(data.cumulativeTime.sum)}</span>
-                  </div>
-                  <div className="flex items-center gap-1.5">
-                    <span className="opacity-70 font-mono">↓</span>
-                    <span>{formatTime(data.cumulativeTime.min)}</span>
+            <div className={`bg-orange-500 text-white text-[11px] font-bold px-2.5 py-1.5 rounded-xl shadow-xl cursor-help animate-in fade-in zoom-in duration-200 ${
+              assumedCount > 0 ? 'border-2 border-dashed border-white/70' : ''
+            }`}>
+              <div className="text-left leading-tight">
+                {timeRows.map((row, index) => (
+                  <div key={row.symbol} className="flex items-center gap-1.5">
+                    <span className="opacity-70 font-mono">{row.symbol}</span>
+                    <span>{assumedCount > 0 && '≈ '}{formatTimeRange(row.days, row.variance, settings)}</span>
+                    {index === 0 && data.calibrationAvailable && (
+                      <button
+                        type="button"
+                        onClick={handleToggleCalibration}
+                        className="ml-auto px-1.5 rounded-full bg-white/20 hover:bg-white/30 text-[9px] uppercase tracking-wider transition-colors"
+                      >
+                        {settings.calibrateEstimates ? 'cal' : 'raw'}
+                      </button>
+                    )}
                   </div>
-                </div>
-              )}
+                ))}
+              </div>
             </div>
           </Tooltip>
         )}
@@ -0,0 +1,172 @@
+import { useState } from 'react';
+import { useStore } from '../store/useStore';
+import { findPlaceholders } from '../utils/templateUtils';
+
+// Saves the selection as a reusable template and inserts templates at the viewport center
+const TemplateLibrary = ({ isOpen, onClose, getViewportCenter }) => {
+  const { templates, selectedNodes, saveTemplate, deleteTemplate, insertTemplate, exportTemplates, importTemplates } = useStore();
+  const [newTemplateName, setNewTemplateName] = useState('');
+  const [openTemplateId, setOpenTemplateId] = useState(null);
+  const [placeholderValues, setPlaceholderValues] = useState({});
+
+  if (!isOpen) return null;
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const template = saveTemplate(newTemplateName);
+    setNewTemplateName('');
+    if (template) setOpenTemplateId(template.id);
+  };
+
+  const handleToggle = (id) => {
+    setOpenTemplateId(openTemplateId === id ? null : id);
+    setPlaceholderValues({});
+  };
+
+  const handleInsert = (e, id) => {
+    e.preventDefault();
+    insertTemplate(id, placeholderValues, getViewportCenter());
+    onClose();
+  };
+
+  const handleImport = () => {
+    importTemplates().then(result => {
+      if (result && !result.success && result.error !== 'Cancelled') {
+        alert(`Failed to import templates: ${result.error}`);
+      }
+    });
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-md flex items-center justify-center z-50 p-4">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col overflow-hidden border border-white/20 dark:border-gray-700">
+        {/* Header */}
+        <div className="px-6 py-5 border-b border-gray-100 dark:border-gray-700 flex items-center justify-between bg-gray-50/50 dark:bg-gray-800/50">
+          <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100 tracking-tight">Templates</h2>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-full hover:bg-gray-200 dark:hover:bg-gray-800 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-all active:scale-90"
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" viewBox="0 0 20 20" fill="currentColor">
+              <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+            </svg>
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6 space-y-6">
+          {/* Save the selection */}
+          <div className="space-y-2">
+            <h3 className="text-xs font-bold text-gray-400 dark:text-gray-500 uppercase tracking-widest">Save Selection</h3>
+            {selectedNodes.length === 0 ? (
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Select tasks on the canvas to save them, with the dependencies between them, as a template.
+              </p>
+            ) : (
+              <form onSubmit={handleSave} className="flex gap-2">
+                <input
+                  type="text"
+                  value={newTemplateName}
+                  onChange={(e) => setNewTemplateName(e.target.value)}
+                  placeholder={`Name for ${selectedNodes.length} selected ${selectedNodes.length === 1 ? 'task' : 'tasks'}`}
+                  className="flex-1 px-3 py-2 bg-gray-50 dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 transition-all dark:text-gray-100"
+                />
+                <button
+                  type="submit"
+                  className="px-4 py-2 bg-blue-600 text-white rounded-xl text-sm font-bold hover:bg-blue-700 transition-all active:scale-95 shadow-lg shadow-blue-500/20"
+                >
+                  Save
+                </button>
+              </form>
+            )}
+            <p className="text-[11px] text-gray-400 dark:text-gray-500">
+              Titles, estimates and tags are kept. Write placeholders like {'{feature}'} in titles to fill them in on insert.
+            </p>
+          </div>
+
+          {/* Library */}
+          <div className="space-y-2">
+            <h3 className="text-xs font-bold text-gray-400 dark:text-gray-500 uppercase tracking-widest">Library</h3>
+            {templates.length === 0 ? (
+              <p className="text-center py-4 text-sm text-gray-400 dark:text-gray-500 italic">No templates yet.</p>
+            ) : (
+              <div className="bg-gray-50 dark:bg-gray-700/50 rounded-xl border border-gray-100 dark:border-gray-700 divide-y divide-gray-100 dark:divide-gray-700 overflow-hidden">
+                {templates.map(template => {
+                  const placeholders = findPlaceholders(template.subgraph);
+                  const isOpenTemplate = openTemplateId === template.id;
+                  return (
+                    <div key={template.id} className="group">
+                      <div className="flex items-center justify-between gap-2 px-3 py-2">
+                        <button
+                          type="button"
+                          onClick={() => handleToggle(template.id)}
+                          className="flex-1 min-w-0 text-left"
+                        >
+                          <div className="text-sm font-bold text-gray-800 dark:text-gray-200 truncate">{template.name}</div>
+                          <div className="text-[11px] text-gray-400 dark:text-gray-500">
+                            {template.subgraph.nodes.length} {template.subgraph.nodes.length === 1 ? 'task' : 'tasks'}
+                            {placeholders.length > 0 && ` · ${placeholders.map(name => `{${name}}`).join(' ')}`}
+                          </div>
+                        </button>
+                        <button
+                          onClick={() => deleteTemplate(template.id)}
+                          className="flex-shrink-0 p-1.5 text-red-600 dark:text-red-400 hover:bg-red-100 dark:hover:bg-red-900/50 rounded-lg transition-colors opacity-0 group-hover:opacity-100"
+                          title="Delete template"
+                        >
+                          <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+                            <path fillRule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clipRule="evenodd" />
+                          </svg>
+                        </button>
+                      </div>
+
+                      {/* Placeholder values and insert */}
+                      {isOpenTemplate && (
+                        <form onSubmit={(e) => handleInsert(e, template.id)} className="px-3 pb-3 space-y-2">
+                          {placeholders.map(name => (
+                            <label key={name} className="flex items-center gap-2">
+                              <span className="w-24 flex-shrink-0 text-[11px] font-bold text-gray-500 dark:text-gray-400 truncate">{name}</span>
+                              <input
+                                type="text"
+                                value={placeholderValues[name] || ''}
+                                onChange={(e) => setPlaceholderValues({ ...placeholderValues, [name]: e.target.value })}
+                                className="flex-1 px-3 py-1.5 bg-white dark:bg-gray-700 border border-gray-200 dark:border-gray-600 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500/20 focus:border-blue-500 dark:text-gray-100"
+                              />
+                            </label>
+                          ))}
+                          <button
+                            type="submit"
+                            className="w-full px-3 py-1.5 text-xs font-bold rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+                          >
+                            Insert at View Center
+                          </button>
+                        </form>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Templates file */}
+        <div className="px-6 py-4 border-t border-gray-100 dark:border-gray-700 flex justify-end gap-2">
+          <button
+            onClick={handleImport}
+            className="px-3 py-1.5 text-xs font-bold rounded-lg border border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+          >
+            Import
+          </button>
+          <button
+            onClick={exportTemplates}
+            disabled={templates.length === 0}
+            className="px-3 py-1.5 text-xs font-bold rounded-lg border border-gray-200 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40 transition-colors"
+          >
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateLibrary;
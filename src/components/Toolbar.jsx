@@ -1,13 +1,30 @@
 import { useState } from 'react';
+import { useReactFlow } from '@xyflow/react';
 import { useStore } from '../store/useStore';
 import { useTemporalStore } from '../store/useStore';
 import TagManager from './TagManager';
+import ProjectSettings from './ProjectSettings';
+import ProgressCharts from './ProgressCharts';
+import CycleReport from './CycleReport';
+import TemplateLibrary from './TemplateLibrary';
+import { RISK_LABELS } from '../utils/milestoneUtils';
+import { findCycles } from '../utils/graphUtils';
 
-const Toolbar = ({ getViewportCenter }) => {
+const MILESTONE_RISK_DOTS = {
+  red: 'bg-red-500',
+  amber: 'bg-amber-400',
+  green: 'bg-green-500',
+};
+
+const Toolbar = ({ getViewportCenter, milestoneRisks }) => {
   const { 
     addTask, 
+    addMilestone,
+    addSubproject,
+    linkSubproject,
     resetToDemo, 
     nodes, 
+    edges,
     saveToFile, 
     saveAs,
     loadFromFile, 
@@ -17,10 +34,24 @@ const Toolbar = ({ getViewportCenter }) => {
     tags,
     selectionMode,
     setSelectionMode,
-    animationsEnabled
+    viewMode,
+    setViewMode,
+    nextUpOpen,
+    setNextUpOpen,
+    redundantEdgesOpen,
+    setRedundantEdgesOpen,
+    animationsEnabled,
+    selectedNodes,
+    arrangeNodes
   } = useStore();
+  const { fitView } = useReactFlow();
   const [showTagManager, setShowTagManager] = useState(false);
+  const [showProjectSettings, setShowProjectSettings] = useState(false);
+  const [showProgressCharts, setShowProgressCharts] = useState(false);
+  const [showCycleReport, setShowCycleReport] = useState(false);
+  const [showTemplates, setShowTemplates] = useState(false);
   const [showDownloadModal, setShowDownloadModal] = useState(false);
+  const [arranging, setArranging] = useState(false);
   const [downloadFileName, setDownloadFileName] = useState('');
   
   // Subscribe to temporal store reactively
@@ -35,6 +66,31 @@ const Toolbar = ({ getViewportCenter }) => {
     addTask(position);
   };
 
+  const handleAddMilestone = () => {
+    addMilestone(getViewportCenter());
+  };
+
+  // Add a subproject and pick the project file it stands for right away
+  const handleAddSubproject = () => {
+    const node = addSubproject(getViewportCenter());
+    linkSubproject(node.id).then(result => {
+      if (result && !result.success && result.error !== 'Cancelled') {
+        alert(`Failed to read subproject: ${result.error}`);
+      }
+    });
+  };
+
+  // Arrange the selection if there is one, otherwise everything (then show it all)
+  const handleArrange = async () => {
+    const arrangeAll = selectedNodes.length < 2;
+    setArranging(true);
+    const moved = await arrangeNodes(arrangeAll ? null : selectedNodes);
+    setArranging(false);
+    if (arrangeAll && moved > 0) {
+      fitView({ padding: 0.2, duration: 400 });
+    }
+  };
+
   const handleSave = async () => {
     if (!isNativeFileSystemSupported) {
       setDownloadFileName(currentFileName || 'project.json');
@@ -97,6 +153,10 @@ const Toolbar = ({ getViewportCenter }) => {
       tag,
       count: nodes.filter(n => n.data.primaryTag === tag.id).length,
     })).filter(item => item.count > 0),
+    milestones: ['red', 'amber', 'green']
+      .map(risk => ({ risk, count: [...(milestoneRisks?.values() || [])].filter(entry => entry.risk === risk).length }))
+      .filter(item => item.count > 0),
+    cycles: findCycles(nodes, edges).length,
   };
 
   return (
@@ -279,6 +339,58 @@ const Toolbar = ({ getViewportCenter }) => {
         Add Task
       </button>
 
+      {/* Add Milestone Button */}
+      <button
+        onClick={handleAddMilestone}
+        className="hidden md:flex items-center gap-2 px-3 py-2 bg-white dark:bg-gray-800 text-indigo-600 dark:text-indigo-400 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-all shadow-xl border border-gray-200 dark:border-gray-700 active:scale-95 font-bold"
+        title="Add Milestone"
+      >
+        <span className="w-3 h-3 rotate-45 rounded-[2px] bg-current" />
+        Milestone
+      </button>
+
+      {/* Add Subproject Button */}
+      <button
+        onClick={handleAddSubproject}
+        className="hidden md:flex items-center gap-2 px-3 py-2 bg-white dark:bg-gray-800 text-indigo-600 dark:text-indigo-400 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-all shadow-xl border border-gray-200 dark:border-gray-700 active:scale-95 font-bold"
+        title="Add Subproject: a goal in another project file"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" viewBox="0 0 20 20" fill="currentColor">
+          <path d="M2 6a2 2 0 012-2h5l2 2h5a2 2 0 012 2v6a2 2 0 01-2 2H4a2 2 0 01-2-2V6z" />
+        </svg>
+        Subproject
+      </button>
+
+      {/* Auto-arrange Button */}
+      <button
+        onClick={handleArrange}
+        disabled={arranging || viewMode !== 'graph' || nodes.length === 0}
+        className="hidden md:flex items-center gap-2 px-3 py-2 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-all shadow-xl border border-gray-200 dark:border-gray-700 active:scale-95 font-bold disabled:opacity-50 disabled:cursor-not-allowed"
+        title={selectedNodes.length > 1
+          ? `Auto-arrange the ${selectedNodes.length} selected tasks left to right by dependency`
+          : 'Auto-arrange all tasks left to right by dependency'}
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+          <rect x="2" y="9" width="5" height="6" rx="1"></rect>
+          <rect x="17" y="3" width="5" height="6" rx="1"></rect>
+          <rect x="17" y="15" width="5" height="6" rx="1"></rect>
+          <path d="M7 12h4m0-6v12m0-12h6m-6 12h6"></path>
+        </svg>
+        Arrange
+      </button>
+
+      {/* Templates Button */}
+      <button
+        onClick={() => setShowTemplates(true)}
+        className="hidden md:flex items-center gap-2 px-3 py-2 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-all shadow-xl border border-gray-200 dark:border-gray-700 active:scale-95 font-bold"
+        title="Templates: save the selection or insert a saved subgraph"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+          <path d="M7 3a1 1 0 000 2h6a1 1 0 100-2H7zM4 7a1 1 0 011-1h10a1 1 0 110 2H5a1 1 0 01-1-1zM2 11a2 2 0 012-2h12a2 2 0 012 2v4a2 2 0 01-2 2H4a2 2 0 01-2-2v-4z" />
+        </svg>
+        Templates
+      </button>
+
       {/* Divider */}
       <div className="hidden md:block w-px h-8 bg-gray-300 dark:bg-gray-700 mx-1" />
 
@@ -293,9 +405,105 @@ const Toolbar = ({ getViewportCenter }) => {
         </svg>
       </button>
 
+      {/* Project Settings Button */}
+      <button
+        onClick={() => setShowProjectSettings(true)}
+        className="flex items-center gap-2 px-3 py-2 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-all shadow-xl border border-gray-200 dark:border-gray-700 active:scale-95"
+        title="Project Settings"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+          <path fillRule="evenodd" d="M6 2a1 1 0 00-1 1v1H4a2 2 0 00-2 2v10a2 2 0 002 2h12a2 2 0 002-2V6a2 2 0 00-2-2h-1V3a1 1 0 10-2 0v1H7V3a1 1 0 00-1-1zm0 5a1 1 0 000 2h8a1 1 0 100-2H6z" clipRule="evenodd" />
+        </svg>
+      </button>
+
+      {/* Progress Charts Button */}
+      <button
+        onClick={() => setShowProgressCharts(true)}
+        className="flex items-center gap-2 px-3 py-2 bg-white dark:bg-gray-800 text-gray-700 dark:text-gray-300 rounded-xl hover:bg-gray-50 dark:hover:bg-gray-700 transition-all shadow-xl border border-gray-200 dark:border-gray-700 active:scale-95"
+        title="Progress Charts"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" viewBox="0 0 20 20" fill="currentColor">
+          <path d="M2 11a1 1 0 011-1h2a1 1 0 011 1v5a1 1 0 01-1 1H3a1 1 0 01-1-1v-5zM8 7a1 1 0 011-1h2a1 1 0 011 1v9a1 1 0 01-1 1H9a1 1 0 01-1-1V7zM14 4a1 1 0 011-1h2a1 1 0 011 1v12a1 1 0 01-1 1h-2a1 1 0 01-1-1V4z" />
+        </svg>
+      </button>
+
+      {/* Next Up Panel Toggle */}
+      <button
+        onClick={() => setNextUpOpen(!nextUpOpen)}
+        className={`hidden md:flex items-center gap-2 px-3 py-2 rounded-xl transition-all shadow-xl border active:scale-95 text-sm font-bold ${
+          nextUpOpen
+            ? 'bg-orange-50 dark:bg-orange-900/30 border-orange-200 dark:border-orange-700 text-orange-600 dark:text-orange-400'
+            : 'bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+        }`}
+        title="Tasks that can be started now, across the whole project"
+      >
+        Next Up
+      </button>
+
+      {/* Redundant Dependencies Toggle */}
+      <button
+        onClick={() => setRedundantEdgesOpen(!redundantEdgesOpen)}
+        disabled={viewMode !== 'graph'}
+        className={`hidden md:flex items-center gap-2 px-3 py-2 rounded-xl transition-all shadow-xl border active:scale-95 text-sm font-bold disabled:opacity-50 disabled:cursor-not-allowed ${
+          redundantEdgesOpen
+            ? 'bg-amber-50 dark:bg-amber-900/30 border-amber-200 dark:border-amber-700 text-amber-600 dark:text-amber-400'
+            : 'bg-white dark:bg-gray-800 border-gray-200 dark:border-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+        }`}
+        title="Find dependencies already implied by a longer chain (e.g. A → C when A → B → C exists)"
+      >
+        Redundant
+      </button>
+
+      {/* View Switcher */}
+      <div className="flex items-center bg-white dark:bg-gray-800 rounded-xl shadow-xl border border-gray-200 dark:border-gray-700 overflow-hidden">
+        {[
+          { id: 'graph', label: 'Graph' },
+          { id: 'gantt', label: 'Gantt' },
+        ].map(view => (
+          <button
+            key={view.id}
+            onClick={() => setViewMode(view.id)}
+            className={`px-3 py-2 text-sm font-bold transition-all ${
+              viewMode === view.id
+                ? 'bg-blue-50 dark:bg-blue-900/30 text-blue-600 dark:text-blue-400'
+                : 'text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+            }`}
+            title={view.id === 'gantt' ? 'Timeline of all pending tasks' : 'Dependency graph'}
+          >
+            {view.label}
+          </button>
+        ))}
+      </div>
+
       {/* Divider */}
       <div className="hidden md:block w-px h-8 bg-gray-300 dark:bg-gray-700 mx-1" />
 
+      {/* Dependency cycles (e.g. in a loaded file) */}
+      {stats.cycles > 0 && (
+        <button
+          onClick={() => setShowCycleReport(true)}
+          className="flex items-center gap-2 px-3 py-2 bg-red-50 dark:bg-red-900/30 text-red-600 dark:text-red-400 rounded-xl shadow-xl border border-red-200 dark:border-red-800 text-sm font-bold active:scale-95 transition-all"
+          title="Some dependencies form a loop; click to review and break them"
+        >
+          ⚠ {stats.cycles} {stats.cycles === 1 ? 'cycle' : 'cycles'}
+        </button>
+      )}
+
+      {/* Milestone Risk Summary */}
+      {stats.milestones.length > 0 && (
+        <div
+          className="flex items-center gap-3 px-4 py-2 bg-white dark:bg-gray-800 rounded-xl shadow-xl border border-gray-200 dark:border-gray-700 text-sm font-bold text-gray-700 dark:text-gray-300"
+          title="Milestones: forecast arrival vs. target date"
+        >
+          {stats.milestones.map(({ risk, count }) => (
+            <span key={risk} className="flex items-center gap-1.5">
+              <span className={`w-2.5 h-2.5 rounded-full ${MILESTONE_RISK_DOTS[risk]}`} />
+              {count} {RISK_LABELS[risk].toLowerCase()}
+            </span>
+          ))}
+        </div>
+      )}
+
       {/* Current File Name */}
       {currentFileName && (
         <div className={`px-4 py-2 rounded-xl shadow-xl border text-sm font-bold transition-all duration-300 flex items-center gap-2 ${
@@ -311,6 +519,18 @@ const Toolbar = ({ getViewportCenter }) => {
       {/* Tag Manager Modal */}
       <TagManager isOpen={showTagManager} onClose={() => setShowTagManager(false)} />
 
+      {/* Project Settings Modal */}
+      <ProjectSettings isOpen={showProjectSettings} onClose={() => setShowProjectSettings(false)} />
+
+      {/* Progress Charts Modal */}
+      <ProgressCharts isOpen={showProgressCharts} onClose={() => setShowProgressCharts(false)} />
+
+      {/* Dependency Cycles Modal */}
+      <CycleReport isOpen={showCycleReport} onClose={() => setShowCycleReport(false)} />
+
+      {/* Templates Modal */}
+      <TemplateLibrary isOpen={showTemplates} onClose={() => setShowTemplates(false)} getViewportCenter={getViewportCenter} />
+
       {/* Download Filename Modal (Safari/Legacy) */}
       {showDownloadModal && (
         <div className="fixed inset-0 z-[100] flex items-center justify-center bg-black/20 dark:bg-black/40 backdrop-blur-sm p-4">
@@ -3,11 +3,41 @@ import { persist } from 'zustand/middleware';
 import { temporal } from 'zundo';
 import { useStore as useZustandStore } from 'zustand';
 import { applyNodeChanges, applyEdgeChanges } from '@xyflow/react';
+import { defaultCalendar } from '../utils/calendarUtils';
+import { defaultAssumedEstimate, defaultCalibration, defaultTimeUnits } from '../utils/timeUtils';
+import { appendHistory, getStatusTimestamps } from '../utils/historyUtils';
+import { findCyclePath, getGraphIndex } from '../utils/graphUtils';
+import { calculateLayeredLayout } from '../utils/layoutUtils';
+import { fitGroupToChildren, getAbsolutePosition } from '../utils/groupUtils';
+import { findGoalCandidates, summarizeSubproject } from '../utils/subprojectUtils';
+import { instantiateSubgraph, parseSubgraph, serializeSubgraph } from '../utils/clipboardUtils';
+import { TEMPLATES_FORMAT, fillPlaceholders, getTemplateSize, parseTemplates, toTemplateSubgraph } from '../utils/templateUtils';
 
 // --- Utilities ---
 
 const generateId = () => `task-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 const generateTagId = () => `tag-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+const generatePersonId = () => `person-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+const generateGroupId = () => `group-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+const generateTemplateId = () => `template-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+const generateEdgeId = () => `edge-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+// Auto-arrange animation length
+const ARRANGE_DURATION_MS = 400;
+
+// Fit each group with a moved child back around its children
+const refitGroups = (nodes, groups, movedIds) => {
+  const touched = new Set(nodes.filter(n => movedIds.has(n.id) && n.parentId).map(n => n.parentId));
+  let nextNodes = nodes;
+  const nextGroups = groups.map(group => {
+    if (!touched.has(group.id)) return group;
+    const fitted = fitGroupToChildren(group, nextNodes.filter(n => n.parentId === group.id), groups);
+    const childById = new Map(fitted.children.map(c => [c.id, c]));
+    nextNodes = nextNodes.map(n => childById.get(n.id) || n);
+    return fitted.group;
+  });
+  return { nodes: nextNodes, groups: nextGroups };
+};
 
 const defaultTags = [
   { id: 'tag-1734000001-eng', name: 'Engineering', color: '#3b82f6' },
@@ -18,6 +48,14 @@ const defaultTags = [
   { id: 'tag-1734000006-qa', name: 'QA', color: '#06b6d4' },
 ];
 
+// Project-level settings, stored in the exported JSON
+const defaultSettings = {
+  ...defaultCalendar,
+  ...defaultTimeUnits,
+  ...defaultAssumedEstimate,
+  ...defaultCalibration,
+};
+
 const createDefaultTask = (position = { x: 100, y: 100 }) => ({
   id: generateId(),
   type: 'taskNode',
@@ -30,11 +68,70 @@ const createDefaultTask = (position = { x: 100, y: 100 }) => ({
     tags: [],
     estimatedTime: null,
     estimatedTimeUnit: 'days',
+    percentComplete: null,
+    remainingTime: null,
+    actualTime: null,
+    assignee: null,
+    note: '',
+    history: [],
+    startedAt: null,
+    completedAt: null,
+    createdAt: new Date().toISOString(),
+  },
+});
+
+// Milestones take no time; they mark a point the project must reach, optionally by a date
+const createDefaultMilestone = (position = { x: 100, y: 100 }) => ({
+  id: generateId(),
+  type: 'milestoneNode',
+  position,
+  data: {
+    title: 'New Milestone',
+    description: '',
+    status: 'todo',
+    primaryTag: null,
+    tags: [],
+    targetDate: null,
+    note: '',
+    history: [],
+    createdAt: new Date().toISOString(),
+  },
+});
+
+// Stands for a goal task in another project file; status and estimate are copied
+// from that file on refresh (see subprojectUtils)
+const createDefaultSubproject = (position = { x: 100, y: 100 }) => ({
+  id: generateId(),
+  type: 'subprojectNode',
+  position,
+  data: {
+    title: 'New Subproject',
+    description: '',
+    status: 'todo',
+    primaryTag: null,
+    tags: [],
+    estimatedTime: null,
+    estimatedTimeUnit: 'days',
     note: '',
+    history: [],
+    fileName: null,
+    goalTaskId: null,
+    goalTitle: null,
+    goalOptions: [],
+    progress: null,
+    refreshedAt: null,
+    linkError: null,
     createdAt: new Date().toISOString(),
   },
 });
 
+// Defaults for a node inserted from a template, by node type
+const createDefaultNode = {
+  taskNode: createDefaultTask,
+  milestoneNode: createDefaultMilestone,
+  subprojectNode: createDefaultSubproject,
+};
+
 // --- Demo Data ---
 
 const initialNodes = [
@@ -211,6 +308,58 @@ const getFileHandle = async () => {
   }
 };
 
+// Let the user pick a JSON file: { file, handle } (the handle only where the File System
+// Access API is available), or null if cancelled
+const pickJSONFile = async () => {
+  if ('showOpenFilePicker' in window) {
+    const handle = await getFileHandle();
+    return handle ? { file: await handle.getFile(), handle } : null;
+  }
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.style.display = 'none';
+    document.body.appendChild(input);
+
+    input.onchange = (e) => {
+      const file = e.target.files[0];
+      document.body.removeChild(input);
+      resolve(file ? { file, handle: null } : null);
+    };
+
+    // Cleanup if user cancels
+    const handleFocus = () => {
+      setTimeout(() => {
+        if (document.body.contains(input)) {
+          document.body.removeChild(input);
+          // We don't resolve as cancelled here because onchange might still fire
+        }
+        window.removeEventListener('focus', handleFocus);
+      }, 1000);
+    };
+    window.addEventListener('focus', handleFocus);
+
+    input.click();
+  });
+};
+
+// Download a file through a temporary link (no File System Access API needed)
+const downloadJSON = (text, fileName) => {
+  const blob = new Blob([text], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  setTimeout(() => {
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }, 100);
+};
+
 const getNewFileHandle = async (suggestedName = 'project.json') => {
   try {
     return await window.showSaveFilePicker({
@@ -239,36 +388,54 @@ export const useStore = create(
         nodes: initialNodes,
         edges: initialEdges,
         tags: defaultTags,
+        settings: defaultSettings,
+        people: [],
+        groups: [], // Group (epic) containers, see groupUtils
         selectedNode: null,
         selectedNodes: [],
         currentFileName: 'Untitled.json',
         fileHandle: null, // Not persisted
+        subprojectFiles: {}, // Not persisted: nodeId -> { handle, lastModified, changed }
         isDirty: false,
         lastLoadedAt: null,
         lastSavedAt: null,
         snapshots: [], // Persisted versions
+        templates: [], // Reusable subgraphs, saved with the app rather than the project
         isNativeFileSystemSupported: 'showSaveFilePicker' in window && window.isSecureContext,
         darkMode: false,
         selectionMode: 'pan', // 'pan' or 'select'
         colorMode: 'status', // 'status' or 'tag'
+        viewMode: 'graph', // 'graph' or 'gantt'
+        nextUpOpen: false,
+        nextUpDock: 'left', // 'left' or 'right' of the canvas
+        redundantEdgesOpen: false,
         animationsEnabled: false,
         mobileEditOpen: false,
         _preDragNodes: null,
+        _preDragGroups: null,
 
         // Actions
         setMobileEditOpen: (open) => set({ mobileEditOpen: open }),
         toggleDarkMode: () => set((state) => ({ darkMode: !state.darkMode })),
         setSelectionMode: (mode) => set({ selectionMode: mode }),
         setColorMode: (mode) => set({ colorMode: mode }),
+        setViewMode: (mode) => set({ viewMode: mode }),
+        setNextUpOpen: (open) => set({ nextUpOpen: open }),
+        setNextUpDock: (side) => set({ nextUpDock: side }),
+        setRedundantEdgesOpen: (open) => set({ redundantEdgesOpen: open }),
         toggleAnimations: () => set((state) => ({ animationsEnabled: !state.animationsEnabled })),
 
+        updateSettings: (data) => {
+          set({ settings: { ...get().settings, ...data }, isDirty: true });
+        },
+
         createSnapshot: (name) => {
-          const { nodes, edges, tags } = get();
+          const { nodes, edges, tags, settings, people, groups } = get();
           const snapshot = {
             id: `snap-${Date.now()}`,
             name: name || `Snapshot ${new Date().toLocaleString()}`,
             timestamp: new Date().toISOString(),
-            data: JSON.parse(JSON.stringify({ nodes, edges, tags })),
+            data: JSON.parse(JSON.stringify({ nodes, edges, tags, settings, people, groups })),
           };
           set({ snapshots: [snapshot, ...get().snapshots] });
         },
@@ -284,13 +451,20 @@ export const useStore = create(
             nodes: snapshot.data.nodes,
             edges: snapshot.data.edges,
             tags: snapshot.data.tags || get().tags,
+            settings: snapshot.data.settings || get().settings,
+            people: snapshot.data.people || get().people,
+            groups: snapshot.data.groups || [],
             isDirty: true,
             lastLoadedAt: Date.now(),
           });
         },
         onNodesChange: (changes) => {
+          // Groups are drawn as nodes but kept apart from tasks (see groupUtils)
+          const groupIds = new Set(get().groups.map(g => g.id));
+          const groupChanges = changes.filter(c => groupIds.has(c.id));
+          const nextGroups = groupChanges.length > 0 ? applyNodeChanges(groupChanges, get().groups) : get().groups;
           const currentNodes = get().nodes;
-          const nextNodes = applyNodeChanges(changes, currentNodes);
+          const nextNodes = applyNodeChanges(changes.filter(c => !groupIds.has(c.id)), currentNodes);
           
           // Sync selectedNodes and selectedNode if selection changes occurred
           const selectionChanges = changes.filter(c => c.type === 'select');
@@ -314,6 +488,7 @@ export const useStore = create(
               useStore.temporal.getState().pause();
               set({ 
                 nodes: nextNodes, 
+                groups: nextGroups,
                 selectedNodes: nextSelectedNodes, 
                 selectedNode: nextSelectedNode 
               });
@@ -321,6 +496,7 @@ export const useStore = create(
             } else {
               set({ 
                 nodes: nextNodes, 
+                groups: nextGroups,
                 selectedNodes: nextSelectedNodes, 
                 selectedNode: nextSelectedNode 
               });
@@ -328,6 +504,7 @@ export const useStore = create(
           } else {
             set({ 
               nodes: nextNodes, 
+              groups: nextGroups,
               selectedNodes: nextSelectedNodes, 
               selectedNode: nextSelectedNode,
               isDirty: true 
@@ -340,6 +517,10 @@ export const useStore = create(
         },
 
         onConnect: (connection) => {
+          // Dependencies must not loop (the canvas previews and refuses these first)
+          if (findCyclePath(connection.source, connection.target, get().nodes, get().edges)) {
+            return;
+          }
           const newEdge = {
             ...connection,
             id: `edge-${Date.now()}`,
@@ -349,6 +530,20 @@ export const useStore = create(
           set({ edges: [...get().edges, newEdge], isDirty: true });
         },
 
+        // Several dependencies in one undo step (e.g. all redundant ones)
+        removeEdges: (ids) => {
+          const removed = new Set(ids);
+          set({ edges: get().edges.filter((e) => !removed.has(e.id)), isDirty: true });
+        },
+
+        // Dependency kind, soft flag and lag live in edge.data (see DEPENDENCY TYPES in graphUtils)
+        updateEdge: (id, data) => {
+          set({
+            edges: get().edges.map((e) => (e.id === id ? { ...e, data: { ...e.data, ...data } } : e)),
+            isDirty: true,
+          });
+        },
+
         addTask: (position) => {
           const newNode = createDefaultTask(position);
           set({ nodes: [...get().nodes, newNode], isDirty: true });
@@ -360,11 +555,38 @@ export const useStore = create(
           return newNode;
         },
 
+        addMilestone: (position) => {
+          const newNode = createDefaultMilestone(position);
+          set({ nodes: [...get().nodes, newNode], isDirty: true });
+          
+          // Selection doesn't go to history
+          useStore.temporal.getState().pause();
+          set({ selectedNode: newNode.id, selectedNodes: [newNode.id] });
+          useStore.temporal.getState().resume();
+          return newNode;
+        },
+
+        addSubproject: (position) => {
+          const newNode = createDefaultSubproject(position);
+          set({ nodes: [...get().nodes, newNode], isDirty: true });
+          
+          // Selection doesn't go to history
+          useStore.temporal.getState().pause();
+          set({ selectedNode: newNode.id, selectedNodes: [newNode.id] });
+          useStore.temporal.getState().resume();
+          return newNode;
+        },
+
         updateTask: (id, data) => {
           set({
-            nodes: get().nodes.map((n) =>
-              n.id === id ? { ...n, data: { ...n.data, ...data } } : n
-            ),
+            nodes: get().nodes.map((n) => {
+              if (n.id !== id) return n;
+              // Status/estimate changes are kept for burndown charts; starts and
+              // completions are stamped for estimate calibration
+              const changedData = { ...n.data, ...data };
+              const nextData = { ...changedData, ...getStatusTimestamps(n.data, changedData) };
+              return { ...n, data: { ...nextData, history: appendHistory(n.data, nextData) } };
+            }),
             isDirty: true,
           });
         },
@@ -386,6 +608,110 @@ export const useStore = create(
           }
         },
 
+        // Several nodes and their edges in one undo step (cut)
+        deleteNodes: (ids) => {
+          const removed = new Set(ids);
+          set({
+            nodes: get().nodes.filter((n) => !removed.has(n.id)),
+            edges: get().edges.filter((e) => !removed.has(e.source) && !removed.has(e.target)),
+            isDirty: true,
+          });
+
+          useStore.temporal.getState().pause();
+          const selectedNodes = get().selectedNodes.filter(nid => !removed.has(nid));
+          set({ selectedNodes, selectedNode: selectedNodes.length === 1 ? selectedNodes[0] : null });
+          useStore.temporal.getState().resume();
+        },
+
+        // Clipboard Actions (see clipboardUtils)
+        copySelection: () => {
+          const { nodes, edges, tags, groups, selectedNodes } = get();
+          return serializeSubgraph(selectedNodes, nodes, edges, tags, (node) => getAbsolutePosition(node, groups));
+        },
+
+        // Paste a parsed clipboard with its top-left at `position`; the pasted nodes
+        // become the selection
+        pasteSubgraph: (clip, position) => {
+          const { tags, people } = get();
+          const pasted = instantiateSubgraph(clip, position, { tags, people }, {
+            node: generateId,
+            edge: generateEdgeId,
+            tag: generateTagId,
+          });
+          const pastedIds = pasted.nodes.map((n) => n.id);
+          set({
+            nodes: [
+              ...get().nodes.map((n) => (n.selected ? { ...n, selected: false } : n)),
+              ...pasted.nodes.map((n) => ({ ...n, selected: true })),
+            ],
+            edges: [...get().edges, ...pasted.edges],
+            tags: pasted.tags.length > 0 ? [...tags, ...pasted.tags] : tags,
+            isDirty: true,
+          });
+
+          // Selection doesn't go to history
+          useStore.temporal.getState().pause();
+          set({ selectedNodes: pastedIds, selectedNode: pastedIds.length === 1 ? pastedIds[0] : null });
+          useStore.temporal.getState().resume();
+          return pastedIds.length;
+        },
+
+        // Template Actions (see templateUtils)
+        saveTemplate: (name) => {
+          const clip = parseSubgraph(get().copySelection());
+          if (!clip) return null;
+          const template = {
+            id: generateTemplateId(),
+            name: name.trim() || 'Untitled Template',
+            createdAt: new Date().toISOString(),
+            subgraph: toTemplateSubgraph(clip),
+          };
+          set({ templates: [...get().templates, template] });
+          return template;
+        },
+
+        deleteTemplate: (id) => {
+          set({ templates: get().templates.filter((t) => t.id !== id) });
+        },
+
+        // Insert a template centered on `center`, with its placeholders filled from `values`
+        insertTemplate: (id, values, center) => {
+          const template = get().templates.find((t) => t.id === id);
+          if (!template) return 0;
+          const subgraph = fillPlaceholders(template.subgraph, values);
+          const size = getTemplateSize(subgraph);
+          return get().pasteSubgraph({
+            ...subgraph,
+            nodes: subgraph.nodes.map((node) => {
+              const createDefault = createDefaultNode[node.type] || createDefaultTask;
+              return { ...node, data: { ...createDefault().data, ...node.data } };
+            }),
+          }, { x: center.x - size.width / 2, y: center.y - size.height / 2 });
+        },
+
+        exportTemplates: () => {
+          const { templates } = get();
+          downloadJSON(
+            JSON.stringify({ format: TEMPLATES_FORMAT, exportedAt: new Date().toISOString(), templates }, null, 2),
+            'templates.json'
+          );
+        },
+
+        // Add the templates of an export file; ones already here (same id) are replaced
+        importTemplates: async () => {
+          try {
+            const picked = await pickJSONFile();
+            if (!picked) return { success: false, error: 'Cancelled' };
+            const imported = parseTemplates(await picked.file.text())
+              .map((t) => ({ ...t, id: t.id || generateTemplateId() }));
+            const importedIds = new Set(imported.map((t) => t.id));
+            set({ templates: [...get().templates.filter((t) => !importedIds.has(t.id)), ...imported] });
+            return { success: true, count: imported.length };
+          } catch (e) {
+            return { success: false, error: e.message };
+          }
+        },
+
         setSelectedNode: (id) => {
           useStore.temporal.getState().pause();
           set({ 
@@ -455,30 +781,275 @@ export const useStore = create(
           set({ tags, isDirty: true });
         },
 
+        // People Actions
+        addPerson: (name, capacity = 1) => {
+          const newPerson = { id: generatePersonId(), name, capacity };
+          set({ people: [...get().people, newPerson], isDirty: true });
+        },
+
+        updatePerson: (id, data) => {
+          set({
+            people: get().people.map((p) => (p.id === id ? { ...p, ...data } : p)),
+            isDirty: true,
+          });
+        },
+
+        deletePerson: (id) => {
+          set({
+            people: get().people.filter((p) => p.id !== id),
+            nodes: get().nodes.map((n) => (
+              n.data.assignee === id ? { ...n, data: { ...n.data, assignee: null } } : n
+            )),
+            isDirty: true,
+          });
+        },
+
+        // Subproject Actions
+        // Pick the other project file (again after a reload: handles aren't saved) and read it
+        linkSubproject: async (id) => {
+          try {
+            const picked = await pickJSONFile();
+            if (!picked) return { success: false, error: 'Cancelled' };
+            return await get().readSubprojectFile(id, picked.file, picked.handle);
+          } catch (e) {
+            return { success: false, error: e.message };
+          }
+        },
+
+        // Re-read the linked file; without a handle from this session, pick it again
+        refreshSubproject: async (id) => {
+          const handle = get().subprojectFiles[id]?.handle;
+          if (!handle) return get().linkSubproject(id);
+          let file;
+          try {
+            file = await handle.getFile();
+          } catch (e) {
+            get().updateSubproject(id, { linkError: `Can't read ${handle.name}: ${e.message}` });
+            return { success: false, error: e.message };
+          }
+          return get().readSubprojectFile(id, file, handle);
+        },
+
+        setSubprojectGoal: (id, goalTaskId) => {
+          get().updateSubproject(id, { goalTaskId });
+          return get().refreshSubproject(id);
+        },
+
+        // Copy the goal's summary from a project file into the node
+        readSubprojectFile: async (id, file, handle) => {
+          const node = get().nodes.find((n) => n.id === id);
+          if (!node) return { success: false, error: 'Subproject not found' };
+          set({
+            subprojectFiles: { ...get().subprojectFiles, [id]: { handle, lastModified: file.lastModified, changed: false } },
+          });
+
+          let project;
+          try {
+            project = JSON.parse(await file.text());
+            if (!project.nodes || !project.edges) throw new Error('Invalid format');
+          } catch (e) {
+            get().updateSubproject(id, { fileName: file.name, linkError: `${file.name} is not a project file (${e.message})` });
+            return { success: false, error: e.message };
+          }
+
+          // Another file starts over with its own goal: the first pending end point
+          let goalOptions, goalTaskId, summary;
+          try {
+            goalOptions = findGoalCandidates(project);
+            const sameFile = node.data.fileName === file.name;
+            goalTaskId = (sameFile && node.data.goalTaskId) ||
+              (goalOptions.find((option) => {
+                const status = project.nodes.find((n) => n.id === option.id).data.status;
+                return status !== 'done' && status !== 'someday';
+              }) || goalOptions[0])?.id || null;
+            summary = goalTaskId && summarizeSubproject(project, goalTaskId);
+          } catch (e) {
+            get().updateSubproject(id, { fileName: file.name, linkError: `Can't summarize ${file.name} (${e.message})` });
+            return { success: false, error: e.message };
+          }
+          const fileTitle = file.name.replace(/\.json$/i, '');
+
+          get().updateSubproject(id, {
+            title: node.data.title === 'New Subproject' ? fileTitle : node.data.title,
+            fileName: file.name,
+            goalOptions,
+            goalTaskId,
+            refreshedAt: new Date().toISOString(),
+            linkError: summary ? null : (goalOptions.length > 0 ? 'The goal task is no longer in this file' : 'This file has no tasks'),
+            ...(summary && {
+              goalTitle: summary.goalTitle,
+              status: summary.status,
+              estimatedTime: summary.remaining,
+              estimatedTimeUnit: 'days',
+              progress: { done: summary.done, total: summary.total },
+            }),
+          });
+          return summary ? { success: true } : { success: false, error: 'Goal task not found' };
+        },
+
+        // Status changes are kept for burndown charts; no start/finish stamps, since
+        // the work is tracked (and calibrated) in the other file
+        updateSubproject: (id, data) => {
+          set({
+            nodes: get().nodes.map((n) => {
+              if (n.id !== id) return n;
+              const nextData = { ...n.data, ...data };
+              return { ...n, data: { ...nextData, history: appendHistory(n.data, nextData) } };
+            }),
+            isDirty: true,
+          });
+        },
+
+        // Flag linked files modified since they were read (e.g. when returning to the tab)
+        checkSubprojectFiles: async () => {
+          const entries = Object.entries(get().subprojectFiles).filter(([, entry]) => entry.handle && !entry.changed);
+          const changedIds = [];
+          await Promise.all(entries.map(async ([id, entry]) => {
+            try {
+              const file = await entry.handle.getFile();
+              if (file.lastModified !== entry.lastModified) changedIds.push(id);
+            } catch {
+              changedIds.push(id);
+            }
+          }));
+          if (changedIds.length === 0) return;
+          const subprojectFiles = { ...get().subprojectFiles };
+          changedIds.forEach((id) => {
+            subprojectFiles[id] = { ...subprojectFiles[id], changed: true };
+          });
+          set({ subprojectFiles });
+        },
+
+        // Group Actions
+        // Wrap tasks in a new group sized around them; a task already in another
+        // group moves to the new one (groups left empty are removed)
+        groupNodes: (ids, title = 'New Group') => {
+          const members = get().nodes.filter((n) => ids.includes(n.id));
+          if (members.length === 0) return null;
+
+          const { group, children } = fitGroupToChildren(
+            { id: generateGroupId(), type: 'groupNode', position: { x: 0, y: 0 }, data: { title, collapsed: false } },
+            members,
+            get().groups
+          );
+          const childById = new Map(children.map((c) => [c.id, c]));
+          const nextNodes = get().nodes.map((n) => childById.get(n.id) || n);
+          const usedGroupIds = new Set(nextNodes.map((n) => n.parentId));
+          set({
+            nodes: nextNodes,
+            groups: [...get().groups.filter((g) => usedGroupIds.has(g.id)), group],
+            isDirty: true,
+          });
+          return group;
+        },
+
+        updateGroup: (id, data) => {
+          set({
+            groups: get().groups.map((g) => (g.id === id ? { ...g, data: { ...g.data, ...data } } : g)),
+            isDirty: true,
+          });
+        },
+
+        // Remove the group but keep its tasks where they are on the canvas
+        ungroup: (id) => {
+          set({
+            nodes: get().nodes.map((n) => (n.parentId === id
+              ? { ...n, parentId: undefined, expandParent: undefined, position: getAbsolutePosition(n, get().groups) }
+              : n)),
+            groups: get().groups.filter((g) => g.id !== id),
+            isDirty: true,
+          });
+        },
+
         // Drag Handling
+        // Also used while resizing a group, so a resize is one undo step too
         onNodeDragStart: () => {
           useStore.temporal.getState().pause();
-          set({ _preDragNodes: JSON.parse(JSON.stringify(get().nodes)) });
+          set({
+            _preDragNodes: JSON.parse(JSON.stringify(get().nodes)),
+            _preDragGroups: JSON.parse(JSON.stringify(get().groups)),
+          });
         },
 
         onNodeDragStop: () => {
           const preDrag = get()._preDragNodes;
+          const preDragGroups = get()._preDragGroups;
           const current = get().nodes;
-          const changed = preDrag && JSON.stringify(preDrag) !== JSON.stringify(current);
+          const currentGroups = get().groups;
+          const changed = preDrag && (
+            JSON.stringify(preDrag) !== JSON.stringify(current) ||
+            JSON.stringify(preDragGroups) !== JSON.stringify(currentGroups)
+          );
           
           if (changed) {
-            set({ _preDragNodes: null, nodes: preDrag });
+            set({ _preDragNodes: null, _preDragGroups: null, nodes: preDrag, groups: preDragGroups });
             useStore.temporal.getState().resume();
-            set({ nodes: current, isDirty: true });
+            set({ nodes: current, groups: currentGroups, isDirty: true });
           } else {
-            set({ _preDragNodes: null });
+            set({ _preDragNodes: null, _preDragGroups: null });
             useStore.temporal.getState().resume();
           }
         },
 
+        // Auto-arrange: animates nodes to a layered layout (all nodes if none given).
+        // Frames skip history like a drag, so the whole move is one undo step.
+        // Resolves with the number of nodes that moved once the animation ends.
+        // Tasks in groups are laid out on the canvas and their groups refitted around
+        // them; tasks hidden in a collapsed group stay where they are.
+        arrangeNodes: (nodeIds = null) => {
+          const { nodes, edges, groups } = get();
+          const collapsedIds = new Set(groups.filter(g => g.data.collapsed).map(g => g.id));
+          const arrangedIds = (nodeIds ? nodes.filter(n => nodeIds.includes(n.id)) : nodes)
+            .filter(n => !collapsedIds.has(n.parentId))
+            .map(n => n.id);
+          const onCanvas = nodes.map(n => (n.parentId ? { ...n, position: getAbsolutePosition(n, groups) } : n));
+          const targets = calculateLayeredLayout(onCanvas, edges, arrangedIds);
+          // Back to positions relative to the group
+          targets.forEach((position, id) => {
+            const parentId = onCanvas.find(n => n.id === id).parentId;
+            const group = parentId && groups.find(g => g.id === parentId);
+            if (group) targets.set(id, { x: position.x - group.position.x, y: position.y - group.position.y });
+          });
+          const origins = new Map(nodes
+            .filter(n => targets.has(n.id))
+            .filter(n => n.position.x !== targets.get(n.id).x || n.position.y !== targets.get(n.id).y)
+            .map(n => [n.id, n.position]));
+          if (origins.size === 0) return Promise.resolve(0);
+
+          const positionsAt = (progress) => get().nodes.map(n => {
+            const from = origins.get(n.id);
+            if (!from) return n;
+            const to = targets.get(n.id);
+            return {
+              ...n,
+              position: { x: from.x + (to.x - from.x) * progress, y: from.y + (to.y - from.y) * progress },
+            };
+          });
+
+          useStore.temporal.getState().pause();
+          return new Promise(resolve => {
+            const startedAt = performance.now();
+            const step = (now) => {
+              const t = Math.min(1, (now - startedAt) / ARRANGE_DURATION_MS);
+              set({ nodes: positionsAt(1 - Math.pow(1 - t, 3)) }); // ease-out
+              if (t < 1) {
+                requestAnimationFrame(step);
+                return;
+              }
+              const arranged = get().nodes;
+              const refitted = refitGroups(arranged, get().groups, origins);
+              set({ nodes: positionsAt(0) });
+              useStore.temporal.getState().resume();
+              set({ ...refitted, isDirty: true });
+              resolve(origins.size);
+            };
+            requestAnimationFrame(step);
+          });
+        },
+
         // File Actions
         clearAll: () => {
-          set({ nodes: [], edges: [], selectedNode: null, selectedNodes: [], isDirty: true });
+          set({ nodes: [], edges: [], groups: [], selectedNode: null, selectedNodes: [], isDirty: true });
         },
 
         resetToDemo: () => {
@@ -495,9 +1066,13 @@ export const useStore = create(
             nodes: freshNodes,
             edges: JSON.parse(JSON.stringify(initialEdges)),
             tags: JSON.parse(JSON.stringify(defaultTags)),
+            settings: JSON.parse(JSON.stringify(defaultSettings)),
+            people: [],
+            groups: [],
             selectedNode: null,
             selectedNodes: [],
             fileHandle: null,
+            subprojectFiles: {},
             currentFileName: 'Untitled.json',
             isDirty: false,
             lastLoadedAt: Date.now(),
@@ -505,8 +1080,8 @@ export const useStore = create(
         },
 
         exportToJSON: () => {
-          const { nodes, edges, tags } = get();
-          return JSON.stringify({ version: '1.0', exportedAt: new Date().toISOString(), nodes, edges, tags }, null, 2);
+          const { nodes, edges, tags, settings, people, groups } = get();
+          return JSON.stringify({ version: '1.0', exportedAt: new Date().toISOString(), nodes, edges, tags, settings, people, groups }, null, 2);
         },
 
         importFromJSON: (jsonString) => {
@@ -517,6 +1092,10 @@ export const useStore = create(
               nodes: data.nodes,
               edges: data.edges,
               tags: data.tags || defaultTags,
+              settings: { ...defaultSettings, ...data.settings },
+              people: data.people || [],
+              groups: data.groups || [],
+              subprojectFiles: {},
               selectedNode: null,
               selectedNodes: [],
               isDirty: false,
@@ -528,59 +1107,15 @@ export const useStore = create(
           }
         },
 
-        loadFromFile: () => {
-          if ('showOpenFilePicker' in window) {
-            return (async () => {
-              try {
-                const handle = await getFileHandle();
-                if (!handle) return { success: false, error: 'Cancelled' };
-                const file = await handle.getFile();
-                const result = get().importFromJSON(await file.text());
-                if (result.success) set({ fileHandle: handle, currentFileName: file.name });
-                return result;
-              } catch (e) {
-                return { success: false, error: e.message };
-              }
-            })();
-          } else {
-            return new Promise((resolve) => {
-              const input = document.createElement('input');
-              input.type = 'file';
-              input.accept = '.json';
-              input.style.display = 'none';
-              document.body.appendChild(input);
-
-              input.onchange = async (e) => {
-                const file = e.target.files[0];
-                if (!file) {
-                  document.body.removeChild(input);
-                  return resolve({ success: false, error: 'No file' });
-                }
-                try {
-                  const result = get().importFromJSON(await file.text());
-                  if (result.success) set({ currentFileName: file.name });
-                  document.body.removeChild(input);
-                  resolve(result);
-                } catch (err) {
-                  document.body.removeChild(input);
-                  resolve({ success: false, error: err.message });
-                }
-              };
-
-              // Cleanup if user cancels
-              const handleFocus = () => {
-                setTimeout(() => {
-                  if (document.body.contains(input)) {
-                    document.body.removeChild(input);
-                    // We don't resolve as cancelled here because onchange might still fire
-                  }
-                  window.removeEventListener('focus', handleFocus);
-                }, 1000);
-              };
-              window.addEventListener('focus', handleFocus);
-
-              input.click();
-            });
+        loadFromFile: async () => {
+          try {
+            const picked = await pickJSONFile();
+            if (!picked) return { success: false, error: 'Cancelled' };
+            const result = get().importFromJSON(await picked.file.text());
+            if (result.success) set({ fileHandle: picked.handle, currentFileName: picked.file.name });
+            return result;
+          } catch (e) {
+            return { success: false, error: e.message };
           }
         },
 
@@ -616,47 +1151,58 @@ export const useStore = create(
               }
             })();
           } else {
-            const blob = new Blob([exportToJSON()], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-            const a = document.createElement('a');
-            a.href = url;
-            a.download = nameToUse.endsWith('.json') ? nameToUse : `${nameToUse}.json`;
-            a.style.display = 'none';
-            document.body.appendChild(a);
-            a.click();
-            setTimeout(() => {
-              document.body.removeChild(a);
-              URL.revokeObjectURL(url);
-            }, 100);
-            set({ currentFileName: a.download, isDirty: false, lastSavedAt: new Date().toISOString() });
+            const fileName = nameToUse.endsWith('.json') ? nameToUse : `${nameToUse}.json`;
+            downloadJSON(exportToJSON(), fileName);
+            set({ currentFileName: fileName, isDirty: false, lastSavedAt: new Date().toISOString() });
             return Promise.resolve({ success: true });
           }
         },
       }),
       {
-        partialize: (state) => ({ nodes: state.nodes, edges: state.edges }),
+        partialize: (state) => ({ nodes: state.nodes, edges: state.edges, groups: state.groups }),
         limit: 50,
-        equality: (a, b) => a.nodes === b.nodes && a.edges === b.edges,
+        equality: (a, b) => a.nodes === b.nodes && a.edges === b.edges && a.groups === b.groups,
       }
     ),
     {
       name: 'task-dependency-graph-storage',
+      // Fill in settings added after the persisted state was written
+      merge: (persistedState, currentState) => ({
+        ...currentState,
+        ...persistedState,
+        settings: { ...currentState.settings, ...persistedState?.settings },
+      }),
       partialize: (state) => ({
         nodes: state.nodes,
         edges: state.edges,
         tags: state.tags,
+        settings: state.settings,
+        people: state.people,
+        groups: state.groups,
         currentFileName: state.currentFileName,
         isDirty: state.isDirty,
         snapshots: state.snapshots,
+        templates: state.templates,
         darkMode: state.darkMode,
         selectionMode: state.selectionMode,
         colorMode: state.colorMode,
+        viewMode: state.viewMode,
+        nextUpOpen: state.nextUpOpen,
+        nextUpDock: state.nextUpDock,
         animationsEnabled: state.animationsEnabled,
       }),
     }
   )
 );
 
+// Rebuild the shared graph index as soon as nodes or edges change (edits, undo/redo,
+// file loads), so the utilities called while rendering reuse it
+useStore.subscribe((state, previousState) => {
+  if (state.nodes !== previousState.nodes || state.edges !== previousState.edges) {
+    getGraphIndex(state.nodes, state.edges);
+  }
+});
+
 export const useTemporalStore = (selector, equality) => {
   return useZustandStore(useStore.temporal, selector, equality);
 };
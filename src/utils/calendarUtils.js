@@ -0,0 +1,209 @@
+/**
+ * Working Calendar Utility
+ *
+ * DESIGN OVERVIEW:
+ * ================
+ * The time engine works in abstract working days (offsets from the project start).
+ * This module maps those offsets onto real calendar dates using a project calendar:
+ *
+ * - startDate: 'YYYY-MM-DD' string, or null to start from today
+ * - workingDays: array of weekday numbers (0 = Sunday ... 6 = Saturday)
+ * - holidays: array of 'YYYY-MM-DD' strings that are never worked
+ *
+ * OFFSET CONVENTION:
+ * ==================
+ * Offset 0 is the beginning of the first working day on or after the start date.
+ * A task with earlyStart = 2 and earlyFinish = 4.5 starts on the 3rd working day
+ * and finishes during the 5th working day.
+ */
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const defaultCalendar = {
+  startDate: null,
+  workingDays: [1, 2, 3, 4, 5],
+  holidays: [],
+};
+
+// Upper bound when scanning for the next working day (guards against empty calendars)
+const MAX_SCAN_DAYS = 366 * 5;
+
+/**
+ * Parse a 'YYYY-MM-DD' string into a local Date (midnight)
+ * @param {string} value - ISO date string
+ * @returns {Date|null} Parsed date, or null if invalid
+ */
+export const parseISODate = (value) => {
+  if (!value) return null;
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a Date as a 'YYYY-MM-DD' string using local time
+ * @param {Date} date - The date to format
+ * @returns {string} ISO date string
+ */
+export const toISODate = (date) => {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, '0');
+  const d = String(date.getDate()).padStart(2, '0');
+  return `${y}-${m}-${d}`;
+};
+
+/**
+ * Get today's date as a 'YYYY-MM-DD' string
+ * @returns {string} ISO date string
+ */
+export const todayISODate = () => toISODate(new Date());
+
+/**
+ * Check whether a date is a working day in the given calendar
+ * @param {Date} date - The date to check
+ * @param {Object} calendar - { workingDays, holidays }
+ * @returns {boolean} True if work happens on this date
+ */
+export const isWorkingDay = (date, calendar) => {
+  const workingDays = calendar?.workingDays ?? defaultCalendar.workingDays;
+  if (!workingDays.includes(date.getDay())) return false;
+  return !(calendar?.holidays || []).includes(toISODate(date));
+};
+
+/**
+ * Get the date of the N-th working day (0-based) on or after the calendar start
+ * @param {number} index - Working day index (0 = first working day)
+ * @param {Object} calendar - Project calendar
+ * @returns {Date|null} The working date, or null if the calendar has no working days
+ */
+export const getWorkingDate = (index, calendar) => {
+  const start = parseISODate(calendar?.startDate) || parseISODate(todayISODate());
+  const date = new Date(start);
+  let remaining = Math.max(0, Math.floor(index));
+  let idle = 0;
+
+  while (true) {
+    if (isWorkingDay(date, calendar)) {
+      if (remaining === 0) return date;
+      remaining--;
+      idle = 0;
+    } else if (++idle > MAX_SCAN_DAYS) {
+      return null;
+    }
+    date.setDate(date.getDate() + 1);
+  }
+};
+
+/**
+ * List the first N working days on or after the calendar start
+ * @param {number} count - Number of working days to list
+ * @param {Object} calendar - Project calendar
+ * @returns {Array<string>} ISO dates (shorter than count if the calendar has no working days)
+ */
+export const listWorkingDates = (count, calendar) => {
+  const dates = [];
+  const first = getWorkingDate(0, calendar);
+  if (!first) return dates;
+
+  const date = new Date(first);
+  while (dates.length < count) {
+    if (isWorkingDay(date, calendar)) dates.push(toISODate(date));
+    date.setDate(date.getDate() + 1);
+  }
+  return dates;
+};
+
+/**
+ * Number of working days from the calendar start up to (not including) a date
+ * A non-working date maps to the start of the next working day.
+ * @param {Date} date - The date to locate
+ * @param {Object} calendar - Project calendar
+ * @returns {number|null} Working-day offset, or null if the date is before the start
+ */
+export const getWorkingDayOffset = (date, calendar) => {
+  const first = getWorkingDate(0, calendar);
+  if (!first) return null;
+
+  const target = new Date(date);
+  target.setHours(0, 0, 0, 0);
+  if (target < first) return null;
+
+  let offset = 0;
+  const cursor = new Date(first);
+  while (cursor < target) {
+    if (isWorkingDay(cursor, calendar)) offset++;
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return offset;
+};
+
+/**
+ * Number of working days between two moments, counting both the first and last day
+ * @param {string|Date} from - Start (timestamp or date)
+ * @param {string|Date} to - End (timestamp or date)
+ * @param {Object} calendar - Project calendar
+ * @returns {number} Working days (0 if the span has none or ends before it starts)
+ */
+export const countWorkingDays = (from, to, calendar) => {
+  const cursor = new Date(from);
+  const end = new Date(to);
+  if (isNaN(cursor) || isNaN(end)) return 0;
+  cursor.setHours(0, 0, 0, 0);
+  end.setHours(0, 0, 0, 0);
+
+  let count = 0;
+  while (cursor <= end) {
+    if (isWorkingDay(cursor, calendar)) count++;
+    cursor.setDate(cursor.getDate() + 1);
+  }
+  return count;
+};
+
+/**
+ * Convert a schedule of working-day offsets into calendar start/finish dates
+ * @param {Map} schedule - Map of nodeId -> { earlyStart, earlyFinish }
+ * @param {Object} calendar - Project calendar
+ * @returns {Map} Map of nodeId -> { startDate, finishDate } as ISO strings
+ */
+export const scheduleToDates = (schedule, calendar) => {
+  const result = new Map();
+  if (schedule.size === 0) return result;
+
+  // The finish date is the last working day the task occupies
+  const toIndexes = ({ earlyStart, earlyFinish }) => {
+    const startIndex = Math.floor(earlyStart);
+    return [startIndex, Math.max(startIndex, Math.ceil(earlyFinish) - 1)];
+  };
+
+  let maxIndex = 0;
+  schedule.forEach(entry => {
+    maxIndex = Math.max(maxIndex, toIndexes(entry)[1]);
+  });
+
+  const workingDates = listWorkingDates(maxIndex + 1, calendar);
+  if (workingDates.length === 0) return result;
+
+  schedule.forEach((entry, nodeId) => {
+    const [startIndex, finishIndex] = toIndexes(entry);
+    result.set(nodeId, {
+      startDate: workingDates[startIndex],
+      finishDate: workingDates[finishIndex],
+    });
+  });
+  return result;
+};
+
+/**
+ * Format an ISO date for display
+ * @param {string} value - 'YYYY-MM-DD' string
+ * @param {boolean} withYear - Include the year
+ * @returns {string} Formatted string like "Mar 3" or "Mar 3, 2025"
+ */
+export const formatDate = (value, withYear = false) => {
+  const date = parseISODate(value);
+  if (!date) return '';
+  return date.toLocaleDateString(undefined, withYear
+    ? { year: 'numeric', month: 'short', day: 'numeric' }
+    : { month: 'short', day: 'numeric' });
+};
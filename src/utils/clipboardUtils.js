@@ -0,0 +1,136 @@
+/**
+ * Clipboard Utility
+ *
+ * DESIGN OVERVIEW:
+ * ================
+ * Copy/paste of subgraphs goes through the system clipboard as JSON text, so it works
+ * between browser tabs and between project files.
+ *
+ * - Copying takes the selected nodes, only the edges between them, and the tags they
+ *   reference (a tag id means nothing in another file, so name and color travel along)
+ * - Positions are stored relative to the top-left of the selection; pasting puts that
+ *   corner at the cursor
+ * - Pasting gives every node and edge a new id, so the same clipboard can be pasted
+ *   any number of times. Tags are matched by id, then by name, and created otherwise
+ * - Group membership isn't copied; pasted nodes land on the canvas itself
+ * - Pasted tasks keep their status and progress, so the plan reads the same, but not
+ *   when or how long work happened (history, start/completion, logged time): that
+ *   belongs to the original, and charts and calibration would count it twice
+ */
+
+import { startHistory } from './historyUtils';
+
+export const CLIPBOARD_FORMAT = 'frontier-planner/subgraph';
+
+/**
+ * Serialize a selection for the clipboard
+ * @param {Array} nodeIds - Selected node ids
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @param {Array} tags - All tags
+ * @param {Function} getPosition - Canvas position of a node (see getAbsolutePosition)
+ * @returns {string|null} JSON text, or null if nothing is selected
+ */
+export const serializeSubgraph = (nodeIds, nodes, edges, tags, getPosition) => {
+  const ids = new Set(nodeIds);
+  const selected = nodes.filter(node => ids.has(node.id));
+  if (selected.length === 0) return null;
+
+  const positions = new Map(selected.map(node => [node.id, getPosition(node)]));
+  const left = Math.min(...[...positions.values()].map(position => position.x));
+  const top = Math.min(...[...positions.values()].map(position => position.y));
+
+  const tagIds = new Set(selected.flatMap(node => [node.data.primaryTag, ...(node.data.tags || [])]).filter(Boolean));
+
+  return JSON.stringify({
+    format: CLIPBOARD_FORMAT,
+    version: 1,
+    nodes: selected.map(node => ({
+      id: node.id,
+      type: node.type,
+      position: { x: positions.get(node.id).x - left, y: positions.get(node.id).y - top },
+      data: node.data,
+    })),
+    edges: edges
+      .filter(edge => ids.has(edge.source) && ids.has(edge.target))
+      .map(({ id, source, target, data }) => ({ id, source, target, data })),
+    tags: tags.filter(tag => tagIds.has(tag.id)),
+  });
+};
+
+/**
+ * Read clipboard text written by serializeSubgraph
+ * @param {string} text - Clipboard text
+ * @returns {Object|null} { nodes, edges, tags }, or null for anything else
+ */
+export const parseSubgraph = (text) => {
+  if (!text || !text.includes(CLIPBOARD_FORMAT)) return null;
+  try {
+    const clip = JSON.parse(text);
+    if (clip.format !== CLIPBOARD_FORMAT || !Array.isArray(clip.nodes) || clip.nodes.length === 0) return null;
+    return { nodes: clip.nodes, edges: clip.edges || [], tags: clip.tags || [] };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Turn a parsed clipboard into new nodes and edges for the current project
+ * @param {Object} clip - Result of parseSubgraph
+ * @param {Object} anchor - Canvas position for the top-left of the subgraph
+ * @param {Object} project - Current { tags, people }
+ * @param {Object} generateIds - { node, edge, tag } id generators
+ * @returns {Object} { nodes, edges, tags } where tags are the ones to add to the project
+ */
+export const instantiateSubgraph = (clip, anchor, project, generateIds) => {
+  // Tags: same id, else same name, else a new tag
+  const newTags = [];
+  const tagIdMap = new Map();
+  clip.tags.forEach(tag => {
+    const match = project.tags.find(t => t.id === tag.id) ||
+      project.tags.find(t => t.name.trim().toLowerCase() === tag.name.trim().toLowerCase());
+    if (match) {
+      tagIdMap.set(tag.id, match.id);
+    } else {
+      const created = { ...tag, id: generateIds.tag() };
+      newTags.push(created);
+      tagIdMap.set(tag.id, created.id);
+    }
+  });
+  const mapTag = (id) => (id && tagIdMap.get(id)) || null;
+  const personIds = new Set(project.people.map(person => person.id));
+
+  const nodeIdMap = new Map(clip.nodes.map(node => [node.id, generateIds.node()]));
+  const now = new Date();
+
+  return {
+    nodes: clip.nodes.map(node => ({
+      id: nodeIdMap.get(node.id),
+      type: node.type,
+      position: { x: anchor.x + node.position.x, y: anchor.y + node.position.y },
+      data: {
+        ...node.data,
+        primaryTag: mapTag(node.data.primaryTag),
+        tags: (node.data.tags || []).map(mapTag).filter(Boolean),
+        // People belong to a project; an unknown assignee is dropped
+        ...(node.data.assignee && !personIds.has(node.data.assignee) && { assignee: null }),
+        history: startHistory(node.data, now),
+        startedAt: null,
+        completedAt: null,
+        actualTime: null,
+        createdAt: now.toISOString(),
+      },
+    })),
+    edges: clip.edges
+      .filter(edge => nodeIdMap.has(edge.source) && nodeIdMap.has(edge.target))
+      .map(edge => ({
+        id: generateIds.edge(),
+        source: nodeIdMap.get(edge.source),
+        target: nodeIdMap.get(edge.target),
+        animated: true,
+        style: { strokeWidth: 2, stroke: '#6366f1' },
+        ...(edge.data && { data: edge.data }),
+      })),
+    tags: newTags,
+  };
+};
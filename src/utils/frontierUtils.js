@@ -10,10 +10,12 @@
  * 
  * ALGORITHM:
  * ==========
- * 1. Find all ancestor tasks of the selected task (recursive traversal)
+ * 1. Find all ancestor tasks of the selected task (cached in the graph index)
  * 2. For each ancestor, check if it's "executable":
  *    - Status is not 'done'
- *    - All of its dependencies (incoming edges) have status 'done'
+ *    - All of its dependencies (incoming edges) allow it to start: finish-to-start
+ *      sources are done, start-to-start sources have started, and finish-to-finish
+ *      sources only constrain the finish (soft links never block; lag is ignored)
  * 3. Return the set of frontier task IDs
  * 
  * EXAMPLE:
@@ -30,49 +32,66 @@
  * - C is todo but depends on A (done) and B (not done) → C is NOT a frontier
  * 
  * So frontier = [B]
+ * 
+ * BLOCKERS:
+ * =========
+ * For a task that isn't ready, its nearest blockers are the direct dependencies that
+ * don't allow it to start yet. Walking back from each blocker over dependencies that
+ * are still unsatisfied ends at the task's frontier tasks; the shortest such chain
+ * from each frontier task shows what has to happen first.
+ * 
+ * PROJECT FRONTIER:
+ * =================
+ * With no goal, the project frontier is every pending task (not done or someday) whose
+ * dependencies are all complete: what anyone could start right now. The "Next Up" panel
+ * lists it.
+ * 
+ * MILESTONES:
+ * ===========
+ * Both frontiers treat milestones like tasks: a pending milestone whose dependencies
+ * are complete has been reached and only needs marking done, and until then it holds
+ * up everything after it.
  */
 
+import { getGraphIndex } from './graphUtils';
+
 /**
  * Find all ancestor tasks of a given task by traversing backwards through edges
  * @param {string} taskId - The target task ID
+ * @param {Array} nodes - All nodes in the graph
  * @param {Array} edges - All edges in the graph
- * @param {Set} visited - Set to track visited nodes (prevents cycles)
- * @returns {Set} Set of ancestor task IDs
+ * @returns {Set} Set of ancestor task IDs, including the task itself (shared, do not modify)
+ */
+export const findAncestors = (taskId, nodes, edges) => getGraphIndex(nodes, edges).getAncestors(taskId);
+
+/**
+ * Check if a dependency lets its target start now
+ * @param {Object} dependency - Incoming dependency (see index.incoming)
+ * @param {Object} index - Graph index (see getGraphIndex)
+ * @returns {boolean} True if the dependency doesn't hold the target up
  */
-const findAncestors = (taskId, edges, visited = new Set()) => {
-  if (visited.has(taskId)) {
-    return visited;
+const isDependencySatisfied = (dependency, index) => {
+  // Completed or someday dependencies never block; started ones satisfy start-to-start
+  const status = index.nodeById.get(dependency.source)?.data.status;
+  switch (dependency.type) {
+    case 'FF':
+      return status !== undefined;
+    case 'SS':
+      return status === 'in-progress' || status === 'done' || status === 'someday';
+    case 'FS':
+    default:
+      return status === 'done' || status === 'someday';
   }
-  
-  visited.add(taskId);
-  
-  // Find all edges that point TO this task (source -> target where target = taskId)
-  const incomingEdges = edges.filter(edge => edge.target === taskId);
-  
-  // Recursively find ancestors of each source node
-  incomingEdges.forEach(edge => {
-    findAncestors(edge.source, edges, visited);
-  });
-  
-  return visited;
 };
 
 /**
- * Check if a task is executable (all its dependencies are completed)
+ * Check if a task is executable (every dependency allows it to start)
  * @param {string} taskId - The task to check
- * @param {Array} edges - All edges in the graph
- * @param {Array} nodes - All nodes in the graph
- * @returns {boolean} True if all dependencies are completed
+ * @param {Object} index - Graph index (see getGraphIndex)
+ * @returns {boolean} True if the task can start now
  */
-const isTaskExecutable = (taskId, edges, nodes) => {
-  // Find all dependencies (incoming edges) of this task
-  const dependencies = edges.filter(edge => edge.target === taskId);
-  
-  // Check if all dependency tasks are completed or someday (not blocking)
-  return dependencies.every(edge => {
-    const dependencyNode = nodes.find(node => node.id === edge.source);
-    return dependencyNode && (dependencyNode.data.status === 'done' || dependencyNode.data.status === 'someday');
-  });
+const isTaskExecutable = (taskId, index) => {
+  return (index.incoming.get(taskId) || []).every(dependency => isDependencySatisfied(dependency, index));
 };
 
 /**
@@ -87,27 +106,95 @@ export const findFrontierTasks = (selectedTaskId, nodes, edges) => {
     return new Set();
   }
   
-  // Find all ancestors of the selected task
-  const ancestors = findAncestors(selectedTaskId, edges);
+  const index = getGraphIndex(nodes, edges);
   
-  // Remove the selected task itself from ancestors
-  ancestors.delete(selectedTaskId);
+  // Find all ancestors of the selected task
+  const ancestors = index.getAncestors(selectedTaskId);
   
-  // Filter ancestors to find frontier tasks
+  // Filter ancestors (other than the selected task itself) to find frontier tasks
   const frontierTasks = new Set();
   
   ancestors.forEach(ancestorId => {
-    const ancestorNode = nodes.find(node => node.id === ancestorId);
+    if (ancestorId === selectedTaskId) return;
+    
+    const ancestorNode = index.nodeById.get(ancestorId);
     
     if (!ancestorNode) return;
     
     // Check if this ancestor is a frontier task:
     // 1. Not completed or someday
     // 2. All its dependencies are completed (executable)
-    if (ancestorNode.data.status !== 'done' && ancestorNode.data.status !== 'someday' && isTaskExecutable(ancestorId, edges, nodes)) {
+    if (ancestorNode.data.status !== 'done' && ancestorNode.data.status !== 'someday' && isTaskExecutable(ancestorId, index)) {
       frontierTasks.add(ancestorId);
     }
   });
   
   return frontierTasks;
 };
+
+/**
+ * Explain why a task can't start: its nearest blockers and how to unblock them
+ * @param {string} taskId - The task to explain
+ * @param {Array} nodes - All task nodes
+ * @param {Array} edges - All edges (dependencies)
+ * @returns {Array} [{ id, type, chains }] for each blocking dependency, where each chain
+ *   is a list of task IDs from a frontier task to the blocker (empty if the task is ready)
+ */
+export const findBlockers = (taskId, nodes, edges) => {
+  const index = getGraphIndex(nodes, edges);
+  const node = index.nodeById.get(taskId);
+  if (!node || node.data.status === 'done' || node.data.status === 'someday') {
+    return [];
+  }
+  
+  const frontierTasks = findFrontierTasks(taskId, nodes, edges);
+  const isUnsatisfied = (dependency) => index.nodeById.has(dependency.source) && !isDependencySatisfied(dependency, index);
+  
+  return (index.incoming.get(taskId) || []).filter(isUnsatisfied).map(({ source, type }) => {
+    // Breadth-first search back over unsatisfied dependencies; next points towards the blocker
+    const next = new Map([[source, null]]);
+    const queue = [source];
+    const reached = [];
+    for (let i = 0; i < queue.length; i++) {
+      const id = queue[i];
+      if (frontierTasks.has(id)) {
+        reached.push(id);
+        continue;
+      }
+      (index.incoming.get(id) || []).filter(isUnsatisfied).forEach(dependency => {
+        if (!next.has(dependency.source)) {
+          next.set(dependency.source, id);
+          queue.push(dependency.source);
+        }
+      });
+    }
+    
+    const chains = reached.map(frontierId => {
+      const chain = [];
+      for (let id = frontierId; id !== null; id = next.get(id)) {
+        chain.push(id);
+      }
+      return chain;
+    });
+    return { id: source, type, chains };
+  });
+};
+
+/**
+ * Find every task in the project that can be started now, independent of selection
+ * @param {Array} nodes - All task nodes
+ * @param {Array} edges - All edges (dependencies)
+ * @returns {Set} Set of frontier task IDs
+ */
+export const findProjectFrontier = (nodes, edges) => {
+  const index = getGraphIndex(nodes, edges);
+  const frontierTasks = new Set();
+  
+  nodes.forEach(node => {
+    if (node.data.status !== 'done' && node.data.status !== 'someday' && isTaskExecutable(node.id, index)) {
+      frontierTasks.add(node.id);
+    }
+  });
+  
+  return frontierTasks;
+};
@@ -0,0 +1,365 @@
+/**
+ * Graph Index Utility
+ *
+ * DESIGN OVERVIEW:
+ * ================
+ * Frontier detection, time calculation and scheduling all walk the dependency graph.
+ * Looking nodes and edges up with nodes.find / edges.filter inside those walks costs
+ * O(N·E) and makes large plans lag, so they share one index built in O(N + E):
+ * - nodeById: id -> node
+ * - parents / children: id -> ids of direct dependencies / dependents
+ * - incoming / outgoing: id -> dependencies ({ source, target, type, lag }) into / out of it
+ * - topologicalOrder: every id, dependencies before dependents (ids on or behind a
+ *   cycle come last, in their original order, and are listed in cyclicIds)
+ * - getAncestors(id): the node and everything it depends on
+ * - getPendingAncestors(id): the same, but the search stops at done/someday nodes
+ *
+ * DEPENDENCY TYPES:
+ * =================
+ * Edges carry their kind in edge.data (edges without data are hard finish-to-start):
+ * - type 'FS' (finish-to-start): the target starts after the source finishes
+ * - type 'SS' (start-to-start): the target starts after the source starts
+ * - type 'FF' (finish-to-finish): the target finishes after the source finishes
+ * - lag: working days added to the constraint (negative lag = lead)
+ * - soft: "nice to have first"; drawn, but ignored by frontier, times and schedules,
+ *   so soft edges are left out of the index entirely
+ * 
+ * CYCLES:
+ * =======
+ * Dependencies must form a DAG: a task on or behind a loop has no finish time, so the
+ * time calculations treat it like a task with a missing estimate, and the project-wide
+ * schedule ignores the edge that closes the loop. New connections that would close a
+ * loop are rejected (findCyclePath previews the loop), and cycles already in a file
+ * are reported per strongly connected component (findCycles) so an edge can be
+ * removed to break each one. Soft links never count, as they aren't dependencies.
+ * 
+ * CACHING:
+ * ========
+ * The store never mutates nodes or edges; every change (edits, undo/redo, file loads)
+ * replaces the arrays. An index is therefore valid for exactly one (nodes, edges) pair
+ * and is cached by their identity, so every caller within a render shares it.
+ * Ancestor sets are computed lazily, once per node, as the union of the parents' sets.
+ * They are shared between callers and must not be modified.
+ */
+
+const isComplete = (node) => node?.data.status === 'done' || node?.data.status === 'someday';
+
+export const DEPENDENCY_TYPES = {
+  FS: { label: 'Finish → Start', hint: 'Starts after the dependency finishes' },
+  SS: { label: 'Start → Start', hint: 'Starts after the dependency starts' },
+  FF: { label: 'Finish → Finish', hint: 'Finishes after the dependency finishes' },
+};
+
+/**
+ * Kind of dependency an edge describes, with defaults for plain edges
+ * @param {Object} edge - React Flow edge
+ * @returns {Object} { type: 'FS' | 'SS' | 'FF', soft, lag } (lag in working days)
+ */
+export const getDependency = (edge) => ({
+  type: DEPENDENCY_TYPES[edge.data?.type] ? edge.data.type : 'FS',
+  soft: Boolean(edge.data?.soft),
+  lag: parseFloat(edge.data?.lag) || 0,
+});
+
+// nodes -> (edges -> index); entries are dropped with the arrays they describe
+const indexCache = new WeakMap();
+
+/**
+ * Build the index for a graph (use getGraphIndex to share cached indexes)
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @returns {Object} { nodes, edges, nodeById, parents, children, incoming, outgoing, topologicalOrder, cyclicIds, getAncestors, getPendingAncestors }
+ */
+const buildGraphIndex = (nodes, edges) => {
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+  const parents = new Map(nodes.map(node => [node.id, []]));
+  const children = new Map(nodes.map(node => [node.id, []]));
+  const incoming = new Map(nodes.map(node => [node.id, []]));
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+
+  edges.forEach(edge => {
+    const { type, soft, lag } = getDependency(edge);
+    if (soft) return;
+    // Edges may briefly reference a node that no longer exists
+    if (!parents.has(edge.target)) {
+      parents.set(edge.target, []);
+      incoming.set(edge.target, []);
+    }
+    if (!children.has(edge.source)) {
+      children.set(edge.source, []);
+      outgoing.set(edge.source, []);
+    }
+    const dependency = { id: edge.id, source: edge.source, target: edge.target, type, lag };
+    parents.get(edge.target).push(edge.source);
+    children.get(edge.source).push(edge.target);
+    incoming.get(edge.target).push(dependency);
+    outgoing.get(edge.source).push(dependency);
+  });
+
+  // Kahn's algorithm; whatever never becomes ready is on or behind a cycle
+  const inDegree = new Map([...parents].map(([id, ids]) => [id, ids.length]));
+  const topologicalOrder = [...inDegree.keys()].filter(id => inDegree.get(id) === 0);
+  for (let i = 0; i < topologicalOrder.length; i++) {
+    (children.get(topologicalOrder[i]) || []).forEach(childId => {
+      inDegree.set(childId, inDegree.get(childId) - 1);
+      if (inDegree.get(childId) === 0) {
+        topologicalOrder.push(childId);
+      }
+    });
+  }
+  const cyclicIds = new Set([...inDegree.keys()].filter(id => inDegree.get(id) > 0));
+  topologicalOrder.push(...cyclicIds);
+
+  // Plain search for ids on or behind a cycle, where parents' sets aren't complete yet
+  const searchAncestors = (nodeId, stopAtComplete) => {
+    const visited = new Set();
+    const stack = [nodeId];
+    while (stack.length > 0) {
+      const id = stack.pop();
+      if (visited.has(id)) continue;
+      visited.add(id);
+      if (stopAtComplete && isComplete(nodeById.get(id))) continue;
+      (parents.get(id) || []).forEach(parentId => stack.push(parentId));
+    }
+    return visited;
+  };
+
+  const createAncestorLookup = (stopAtComplete) => {
+    const cache = new Map();
+    const lookup = (nodeId) => {
+      if (cache.has(nodeId)) {
+        return cache.get(nodeId);
+      }
+      let ancestors;
+      if (cyclicIds.has(nodeId)) {
+        ancestors = searchAncestors(nodeId, stopAtComplete);
+      } else {
+        ancestors = new Set([nodeId]);
+        if (!(stopAtComplete && isComplete(nodeById.get(nodeId)))) {
+          (parents.get(nodeId) || []).forEach(parentId => {
+            lookup(parentId).forEach(id => ancestors.add(id));
+          });
+        }
+      }
+      cache.set(nodeId, ancestors);
+      return ancestors;
+    };
+    return lookup;
+  };
+
+  return {
+    nodes,
+    edges,
+    nodeById,
+    parents,
+    children,
+    incoming,
+    outgoing,
+    topologicalOrder,
+    cyclicIds,
+    getAncestors: createAncestorLookup(false),
+    getPendingAncestors: createAncestorLookup(true),
+  };
+};
+
+/**
+ * Get the (cached) index for a graph
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @returns {Object} Graph index (see buildGraphIndex)
+ */
+export const getGraphIndex = (nodes, edges) => {
+  let byEdges = indexCache.get(nodes);
+  if (!byEdges) {
+    byEdges = new WeakMap();
+    indexCache.set(nodes, byEdges);
+  }
+  let index = byEdges.get(edges);
+  if (!index) {
+    index = buildGraphIndex(nodes, edges);
+    byEdges.set(edges, index);
+  }
+  return index;
+};
+
+/**
+ * Shortest chain of dependents from one node to another (breadth-first over children)
+ * @param {string} fromId - Start node
+ * @param {string} toId - End node
+ * @param {Object} index - Graph index (see getGraphIndex)
+ * @param {Set} within - Optional set of node IDs the chain must stay inside
+ * @returns {Array|null} Node IDs from fromId to toId, or null if toId can't be reached
+ */
+const findPath = (fromId, toId, index, within = null) => {
+  const previous = new Map([[fromId, null]]);
+  const queue = [fromId];
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    if (id === toId) {
+      const path = [];
+      for (let step = id; step !== null; step = previous.get(step)) {
+        path.unshift(step);
+      }
+      return path;
+    }
+    (index.children.get(id) || []).forEach(childId => {
+      if (!previous.has(childId) && (!within || within.has(childId))) {
+        previous.set(childId, id);
+        queue.push(childId);
+      }
+    });
+  }
+  return null;
+};
+
+/**
+ * The loop a new dependency would close, if any
+ * @param {string} sourceId - Dependency (edge source)
+ * @param {string} targetId - Dependent (edge target)
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @returns {Array|null} Node IDs around the loop starting at sourceId (it closes back to
+ *   sourceId), or null if the connection is safe
+ */
+export const findCyclePath = (sourceId, targetId, nodes, edges) => {
+  if (sourceId === targetId) {
+    return [sourceId];
+  }
+  const path = findPath(targetId, sourceId, getGraphIndex(nodes, edges));
+  return path ? [sourceId, ...path.slice(0, -1)] : null;
+};
+
+/**
+ * Every dependency cycle in the graph, one entry per strongly connected component
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @returns {Array} [{ nodeIds, loop, edgeIds }]: the component's nodes, one loop through
+ *   them (closing back to its first ID) and the edges inside it (any can be removed)
+ */
+export const findCycles = (nodes, edges) => {
+  const index = getGraphIndex(nodes, edges);
+  if (index.cyclicIds.size === 0) {
+    return [];
+  }
+
+  // Tarjan's algorithm over the nodes on or behind a cycle
+  const order = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  const connect = (id) => {
+    order.set(id, order.size);
+    lowLink.set(id, order.get(id));
+    stack.push(id);
+    onStack.add(id);
+    (index.children.get(id) || []).forEach(childId => {
+      if (!index.cyclicIds.has(childId)) return;
+      if (!order.has(childId)) {
+        connect(childId);
+        lowLink.set(id, Math.min(lowLink.get(id), lowLink.get(childId)));
+      } else if (onStack.has(childId)) {
+        lowLink.set(id, Math.min(lowLink.get(id), order.get(childId)));
+      }
+    });
+    if (lowLink.get(id) === order.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+      components.push(component.reverse());
+    }
+  };
+  index.cyclicIds.forEach(id => {
+    if (!order.has(id)) connect(id);
+  });
+
+  return components
+    .map(nodeIds => {
+      const members = new Set(nodeIds);
+      const edgeIds = [];
+      nodeIds.forEach(id => {
+        (index.outgoing.get(id) || []).forEach(dependency => {
+          if (members.has(dependency.target)) edgeIds.push(dependency.id);
+        });
+      });
+      return { nodeIds, members, edgeIds };
+    })
+    // Single nodes only count when they depend on themselves
+    .filter(({ edgeIds }) => edgeIds.length > 0)
+    .map(({ nodeIds, members, edgeIds }) => {
+      const [first] = nodeIds;
+      const loop = (index.children.get(first) || [])
+        .filter(childId => members.has(childId))
+        .map(childId => (childId === first ? [first] : findPath(childId, first, index, members)))
+        .find(Boolean);
+      return { nodeIds, loop: loop.length === 1 ? loop : [first, ...loop.slice(0, -1)], edgeIds };
+    });
+};
+
+/**
+ * Dependencies already implied by a chain of others (the edges a transitive reduction
+ * would drop), e.g. A → C when A → B → C exists
+ * A chain of finish-to-start dependencies without lead means "after A finishes", so it
+ * implies a direct edge that says no more than that: finish-to-start without lag, or a
+ * soft link. SS/FF edges and lag carry timing of their own and are never reported.
+ * Of two identical dependencies, the later one is reported.
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @returns {Map} Map of edgeId -> node IDs of the chain that implies it (source ... target)
+ */
+export const findRedundantEdges = (nodes, edges) => {
+  const index = getGraphIndex(nodes, edges);
+  const isChainLink = (dependency) => dependency.type === 'FS' && dependency.lag >= 0;
+  const chainLinks = (id) => (index.outgoing.get(id) || []).filter(isChainLink);
+
+  const candidatesBySource = new Map();
+  edges.forEach(edge => {
+    const { type, soft, lag } = getDependency(edge);
+    if (!index.nodeById.has(edge.source) || !index.nodeById.has(edge.target)) return;
+    if (!soft && (type !== 'FS' || lag > 0)) return;
+    if (!candidatesBySource.has(edge.source)) candidatesBySource.set(edge.source, []);
+    candidatesBySource.get(edge.source).push(edge);
+  });
+
+  const redundant = new Map();
+  candidatesBySource.forEach((candidates, sourceId) => {
+    const links = chainLinks(sourceId);
+    if (links.length === 0) return;
+
+    // Nodes reachable through two or more links, with the step before each
+    const previous = new Map();
+    const expanded = new Set();
+    const queue = links.map(link => link.target);
+    for (let i = 0; i < queue.length; i++) {
+      const id = queue[i];
+      if (expanded.has(id)) continue;
+      expanded.add(id);
+      chainLinks(id).forEach(link => {
+        if (!previous.has(link.target)) {
+          previous.set(link.target, id);
+          queue.push(link.target);
+        }
+      });
+    }
+
+    candidates.forEach(edge => {
+      if (previous.has(edge.target)) {
+        const path = [edge.target];
+        for (let step = previous.get(edge.target); step !== undefined && step !== sourceId && !path.includes(step); step = previous.get(step)) {
+          path.unshift(step);
+        }
+        redundant.set(edge.id, [sourceId, ...path]);
+        return;
+      }
+      const first = links.find(link => link.target === edge.target);
+      if (first && first.id !== edge.id) {
+        redundant.set(edge.id, [sourceId, edge.target]);
+      }
+    });
+  });
+  return redundant;
+};
@@ -0,0 +1,148 @@
+/**
+ * Group Utility
+ *
+ * DESIGN OVERVIEW:
+ * ================
+ * Groups (epics) are React Flow parent nodes kept in their own `groups` array, so
+ * every calculation that walks `nodes` (frontier, times, schedules, charts) still sees
+ * only tasks and milestones and keeps working however groups are drawn.
+ *
+ * - A task joins a group through `parentId`; its position is then relative to the group
+ * - A collapsed group hides its children and is drawn as one summary node
+ * - Edges between a hidden child and the outside are drawn once per outside node, to or
+ *   from the summary node (aggregated edges); edges inside the group disappear with it
+ * - Roll-ups treat the children like a multi-selection: status counts, plus Σ/↓ as the
+ *   time until every child is done (pending prerequisites outside the group included)
+ */
+
+import { TRACKED_FIELDS } from './historyUtils';
+import { COMBINED_TIME_KEY, calculateCumulativeTimes } from './timeUtils';
+
+// Space around the children inside an expanded group; the header sits above them
+const GROUP_PADDING = 30;
+const GROUP_HEADER_HEIGHT = 40;
+// Collapsed summary node width
+export const COLLAPSED_GROUP_WIDTH = 240;
+// Size used before React Flow has measured a node
+const DEFAULT_SIZE = { width: 200, height: 80 };
+
+/**
+ * Position of a node on the canvas (children store positions relative to their group)
+ * @param {Object} node - Task or milestone node
+ * @param {Array} groups - All groups
+ * @returns {Object} { x, y }
+ */
+export const getAbsolutePosition = (node, groups) => {
+  const group = node.parentId && groups.find(g => g.id === node.parentId);
+  if (!group) return node.position;
+  return { x: group.position.x + node.position.x, y: group.position.y + node.position.y };
+};
+
+/**
+ * Map each child of a collapsed group to the group that stands in for it
+ * @param {Array} nodes - All nodes
+ * @param {Array} groups - All groups
+ * @returns {Map} Map of hidden nodeId -> groupId
+ */
+export const getCollapsedMembers = (nodes, groups) => {
+  const collapsed = new Set(groups.filter(group => group.data.collapsed).map(group => group.id));
+  return new Map(nodes
+    .filter(node => collapsed.has(node.parentId))
+    .map(node => [node.id, node.parentId]));
+};
+
+/**
+ * Fit a group around the given children, keeping the children where they are on the canvas
+ * @param {Object} group - Group (its current position is the children's origin)
+ * @param {Array} children - Nodes that belong to the group
+ * @param {Array} groups - All groups, for children still relative to another group
+ * @returns {Object} { group, children } with the new group bounds and relative child positions
+ */
+export const fitGroupToChildren = (group, children, groups) => {
+  if (children.length === 0) {
+    return { group, children };
+  }
+  const boxes = children.map(node => {
+    const position = getAbsolutePosition(node, groups);
+    return {
+      x: position.x,
+      y: position.y,
+      right: position.x + (node.measured?.width || DEFAULT_SIZE.width),
+      bottom: position.y + (node.measured?.height || DEFAULT_SIZE.height),
+    };
+  });
+  const left = Math.min(...boxes.map(box => box.x)) - GROUP_PADDING;
+  const top = Math.min(...boxes.map(box => box.y)) - GROUP_PADDING - GROUP_HEADER_HEIGHT;
+  const right = Math.max(...boxes.map(box => box.right)) + GROUP_PADDING;
+  const bottom = Math.max(...boxes.map(box => box.bottom)) + GROUP_PADDING;
+
+  return {
+    group: { ...group, position: { x: left, y: top }, width: right - left, height: bottom - top },
+    children: children.map((node, i) => ({
+      ...node,
+      parentId: group.id,
+      expandParent: true,
+      position: { x: boxes[i].x - left, y: boxes[i].y - top },
+    })),
+  };
+};
+
+/**
+ * Aggregate edges that touch hidden children into edges to/from their collapsed group
+ * @param {Array} edges - All edges
+ * @param {Map} collapsedMembers - Map of hidden nodeId -> groupId (see getCollapsedMembers)
+ * @returns {Array} [{ id, source, target, edgeIds }] one entry per distinct source/target pair
+ */
+export const aggregateGroupEdges = (edges, collapsedMembers) => {
+  const aggregated = new Map();
+  edges.forEach(edge => {
+    if (!collapsedMembers.has(edge.source) && !collapsedMembers.has(edge.target)) return;
+    const source = collapsedMembers.get(edge.source) || edge.source;
+    const target = collapsedMembers.get(edge.target) || edge.target;
+    // Edges inside one collapsed group are part of its summary
+    if (source === target) return;
+    const id = `group-edge:${source}->${target}`;
+    if (!aggregated.has(id)) aggregated.set(id, { id, source, target, edgeIds: [] });
+    aggregated.get(id).edgeIds.push(edge.id);
+  });
+  return [...aggregated.values()];
+};
+
+/**
+ * Roll up a group's children: status counts and time until all are done
+ * @param {string} groupId - Group to summarize
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @param {Object} units - Time unit settings (see timeUtils)
+ * @returns {Object} { childIds, counts, time } (time as in calculateCumulativeTimes)
+ */
+export const calculateGroupRollup = (groupId, nodes, edges, units) => {
+  const children = nodes.filter(node => node.parentId === groupId);
+  const childIds = children.map(node => node.id);
+  const counts = { 'todo': 0, 'in-progress': 0, 'done': 0, 'someday': 0 };
+  children.forEach(node => {
+    counts[node.data.status || 'todo'] += 1;
+  });
+
+  const times = calculateCumulativeTimes(new Set(childIds), new Set(), nodes, edges, units);
+  const time = times.get(COMBINED_TIME_KEY) || null;
+
+  return { childIds, counts, time };
+};
+
+// Task fields roll-ups read: status and estimates, plus what calibration is derived from
+const ROLLUP_FIELDS = [...TRACKED_FIELDS, 'primaryTag', 'startedAt', 'completedAt', 'actualTime'];
+
+/**
+ * Everything roll-ups read from the tasks, as JSON (positions and selection left out).
+ * Memoize roll-ups on it and calculate them from the parsed key, so moving or
+ * selecting tasks doesn't recalculate.
+ * @param {Array} nodes - All nodes
+ * @returns {string} JSON array of { id, type, parentId, data } with only ROLLUP_FIELDS in data
+ */
+export const getRollupKey = (nodes) => JSON.stringify(nodes.map(node => ({
+  id: node.id,
+  type: node.type,
+  parentId: node.parentId,
+  data: Object.fromEntries(ROLLUP_FIELDS.map(field => [field, node.data[field] ?? null])),
+})));
@@ -0,0 +1,189 @@
+/**
+ * Task History Utility
+ *
+ * DESIGN OVERVIEW:
+ * ================
+ * Each task keeps a timestamped history of its status and estimate in
+ * data.history, so the project file carries enough information to reconstruct
+ * how much work was left on any past day.
+ *
+ * RECORDING:
+ * - Only tracked fields (status, estimate, progress) create entries
+ * - Each entry is a full copy of the tracked fields after the change
+ * - The first change also records the state the task was created with
+ * - Changes within HISTORY_MERGE_MS of the previous entry replace it, so typing
+ *   an estimate does not leave one entry per keystroke
+ * - Status changes also stamp data.startedAt / data.completedAt, which estimate
+ *   calibration (timeUtils) uses as the actual duration of a task
+ *
+ * CHARTS:
+ * - Remaining: remaining expected work (progress-adjusted, done = 0)
+ * - Scope: full expected work of every task that existed at the time
+ * - Completed: Scope - Remaining (burnup)
+ * - Someday tasks are out of scope; tasks without an estimate add nothing
+ */
+
+import { getTaskEstimate } from './timeUtils';
+
+export const TRACKED_FIELDS = [
+  'status',
+  'estimatedTime',
+  'estimatedTimeUnit',
+  'optimisticTime',
+  'pessimisticTime',
+  'percentComplete',
+  'remainingTime',
+];
+
+const HISTORY_MERGE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_POINTS = 120;
+
+/**
+ * Copy the tracked fields of a task
+ * @param {Object} data - Task data
+ * @returns {Object} Tracked fields only
+ */
+const pickTracked = (data) => {
+  const tracked = {};
+  TRACKED_FIELDS.forEach(field => {
+    tracked[field] = data[field] ?? null;
+  });
+  return tracked;
+};
+
+/**
+ * History after applying a change to a task
+ * @param {Object} previousData - Task data before the change
+ * @param {Object} nextData - Task data after the change
+ * @param {Date} now - Time of the change
+ * @returns {Array} New history array, or the previous one if nothing tracked changed
+ */
+export const appendHistory = (previousData, nextData, now = new Date()) => {
+  const history = previousData.history || [];
+  const changed = TRACKED_FIELDS.some(field => (previousData[field] ?? null) !== (nextData[field] ?? null));
+  if (!changed) {
+    return history;
+  }
+
+  const entry = { at: now.toISOString(), ...pickTracked(nextData) };
+
+  if (history.length === 0) {
+    const createdAt = previousData.createdAt || entry.at;
+    return [{ at: createdAt, ...pickTracked(previousData) }, entry];
+  }
+
+  const last = history[history.length - 1];
+  if (now.getTime() - new Date(last.at).getTime() < HISTORY_MERGE_MS && history.length > 1) {
+    return [...history.slice(0, -1), entry];
+  }
+  return [...history, entry];
+};
+
+/**
+ * Fresh history for a task whose past belongs to another task (e.g. a pasted copy)
+ * @param {Object} data - Task data
+ * @param {Date} now - Start of the history
+ * @returns {Array} History with one entry: the task as it is now
+ */
+export const startHistory = (data, now = new Date()) => [{ at: now.toISOString(), ...pickTracked(data) }];
+
+/**
+ * Start/completion timestamps to set after a status change
+ * Starting a task stamps startedAt once; finishing stamps completedAt, and reopening a
+ * finished task clears it. Tasks that skip in-progress have no start (no actual duration
+ * unless time is logged).
+ * @param {Object} previousData - Task data before the change
+ * @param {Object} nextData - Task data after the change
+ * @param {Date} now - Time of the change
+ * @returns {Object} Changes to merge into the task data (empty if the status is unchanged)
+ */
+export const getStatusTimestamps = (previousData, nextData, now = new Date()) => {
+  if (previousData.status === nextData.status) {
+    return {};
+  }
+
+  const changes = {};
+  if (nextData.status === 'in-progress' && !nextData.startedAt) {
+    changes.startedAt = now.toISOString();
+  }
+  if (nextData.status === 'done') {
+    changes.completedAt = now.toISOString();
+  } else if (previousData.status === 'done') {
+    changes.completedAt = null;
+  }
+  return changes;
+};
+
+/**
+ * Tracked state of a task at a point in time
+ * Tasks without history are assumed to have looked like they do now since creation.
+ * @param {Object} data - Task data
+ * @param {number} time - Timestamp (ms)
+ * @returns {Object|null} Tracked fields, or null if the task did not exist yet
+ */
+const getStateAt = (data, time) => {
+  const history = data.history || [];
+  if (history.length === 0) {
+    return !data.createdAt || new Date(data.createdAt).getTime() <= time ? data : null;
+  }
+
+  let state = null;
+  for (const entry of history) {
+    if (new Date(entry.at).getTime() > time) break;
+    state = entry;
+  }
+  return state;
+};
+
+/**
+ * Earliest known timestamp of a task
+ * @param {Object} data - Task data
+ * @returns {number|null} Timestamp (ms)
+ */
+const getFirstTime = (data) => {
+  const at = data.history?.[0]?.at || data.createdAt;
+  return at ? new Date(at).getTime() : null;
+};
+
+/**
+ * Remaining and total work of the given tasks over time, sampled daily
+ * (or every few days for long projects) up to now
+ * @param {Array} nodes - Tasks to include
+ * @param {Object} units - Project conversion rules (see getTimeUnits in timeUtils)
+ * @param {Date} now - End of the series
+ * @returns {Array} [{ time, remaining, scope, completed }] in days of work
+ */
+export const calculateBurnSeries = (nodes, units, now = new Date()) => {
+  const end = now.getTime();
+  const firstTimes = nodes.map(node => getFirstTime(node.data)).filter(time => time !== null);
+  const start = firstTimes.length > 0 ? Math.min(...firstTimes) : end;
+
+  // Day boundaries from the first recorded day to today
+  const firstDay = new Date(start);
+  firstDay.setHours(0, 0, 0, 0);
+  const dayCount = Math.max(1, Math.ceil((end - firstDay.getTime()) / DAY_MS));
+  const step = Math.ceil(dayCount / MAX_POINTS);
+
+  const times = [];
+  for (let day = step; day < dayCount; day += step) {
+    times.push(firstDay.getTime() + day * DAY_MS);
+  }
+  times.push(end);
+  times.unshift(start);
+
+  return times.map(time => {
+    let remaining = 0;
+    let scope = 0;
+    nodes.forEach(node => {
+      const state = getStateAt(node.data, time);
+      if (!state || !state.estimatedTime || state.status === 'someday') return;
+
+      scope += getTaskEstimate({ ...state, percentComplete: null, remainingTime: null, status: 'todo' }, units).expected;
+      if (state.status !== 'done') {
+        remaining += getTaskEstimate(state, units).expected;
+      }
+    });
+    return { time, remaining, scope, completed: Math.max(0, scope - remaining) };
+  });
+};
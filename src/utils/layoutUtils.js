@@ -0,0 +1,136 @@
+/**
+ * Layered Layout Utility
+ *
+ * DESIGN OVERVIEW:
+ * ================
+ * "Auto-arrange" places the dependency graph left to right, one column per level of
+ * dependency depth (a simplified Sugiyama layout):
+ * 1. Layering: each node goes one column right of its deepest dependency (longest
+ *    path); nodes on a cycle are placed after everything else
+ * 2. Crossing reduction: nodes in each column are reordered by the average position
+ *    of their neighbours (barycenter), sweeping right and then left a few times
+ * 3. Alignment: each node is placed level with the average of its dependencies,
+ *    pushed down just enough to keep the column's order without overlaps
+ *
+ * Only the given nodes move, and only edges between them count (soft links
+ * included, since they are drawn too). The arranged block keeps its top-left corner,
+ * so arranging a selection leaves the rest of the canvas where it was.
+ */
+
+// Spacing between columns and between nodes in a column (px)
+const COLUMN_GAP = 100;
+const ROW_GAP = 40;
+// Size used before React Flow has measured a node
+const DEFAULT_SIZE = { width: 200, height: 80 };
+// Down/up sweeps of the crossing reduction
+const SWEEPS = 4;
+// Positions snap to the canvas grid
+const GRID = 15;
+
+const snap = (value) => Math.round(value / GRID) * GRID;
+
+const sizeOf = (node) => ({
+  width: node.measured?.width || DEFAULT_SIZE.width,
+  height: node.measured?.height || DEFAULT_SIZE.height,
+});
+
+/**
+ * Compute a left-to-right layered layout
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @param {Iterable} nodeIds - Nodes to arrange (defaults to all)
+ * @returns {Map} Map of nodeId -> { x, y } new position
+ */
+export const calculateLayeredLayout = (nodes, edges, nodeIds = null) => {
+  const ids = new Set(nodeIds || nodes.map(node => node.id));
+  const members = nodes.filter(node => ids.has(node.id));
+  const positions = new Map();
+  if (members.length === 0) {
+    return positions;
+  }
+
+  const parents = new Map(members.map(node => [node.id, []]));
+  const children = new Map(members.map(node => [node.id, []]));
+  edges.forEach(edge => {
+    if (edge.source !== edge.target && ids.has(edge.source) && ids.has(edge.target)) {
+      parents.get(edge.target).push(edge.source);
+      children.get(edge.source).push(edge.target);
+    }
+  });
+
+  // 1. Layering by longest path (Kahn's algorithm); leftovers sit on cycles
+  const layerOf = new Map();
+  const inDegree = new Map(members.map(node => [node.id, parents.get(node.id).length]));
+  const queue = members.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    layerOf.set(id, Math.max(0, ...parents.get(id).map(parentId => layerOf.get(parentId) + 1)));
+    children.get(id).forEach(childId => {
+      inDegree.set(childId, inDegree.get(childId) - 1);
+      if (inDegree.get(childId) === 0) queue.push(childId);
+    });
+  }
+  const cycleLayer = Math.max(-1, ...layerOf.values()) + 1;
+  members.forEach(node => {
+    if (!layerOf.has(node.id)) layerOf.set(node.id, cycleLayer);
+  });
+
+  // Columns start in the current top-to-bottom order, so repeated runs are stable
+  const layers = [];
+  [...members]
+    .sort((a, b) => a.position.y - b.position.y)
+    .forEach(node => {
+      const layer = layerOf.get(node.id);
+      if (!layers[layer]) layers[layer] = [];
+      layers[layer].push(node.id);
+    });
+  const columns = layers.filter(Boolean);
+
+  // 2. Crossing reduction (barycenter heuristic)
+  const orderOf = new Map();
+  const recordOrder = () => columns.forEach(column => column.forEach((id, order) => orderOf.set(id, order)));
+  recordOrder();
+  const reorder = (column, neighbours) => {
+    const barycenter = new Map(column.map(id => {
+      const placed = neighbours.get(id).filter(neighbourId => orderOf.has(neighbourId));
+      return [id, placed.length > 0
+        ? placed.reduce((total, neighbourId) => total + orderOf.get(neighbourId), 0) / placed.length
+        : orderOf.get(id)];
+    }));
+    column.sort((a, b) => barycenter.get(a) - barycenter.get(b));
+    column.forEach((id, order) => orderOf.set(id, order));
+  };
+  for (let sweep = 0; sweep < SWEEPS; sweep++) {
+    for (let c = 1; c < columns.length; c++) reorder(columns[c], parents);
+    for (let c = columns.length - 2; c >= 0; c--) reorder(columns[c], children);
+  }
+
+  // 3. Coordinates: columns by widest node, rows level with their dependencies
+  const nodeById = new Map(members.map(node => [node.id, node]));
+  const y = new Map();
+  let x = 0;
+  columns.forEach(column => {
+    const width = Math.max(...column.map(id => sizeOf(nodeById.get(id)).width));
+    let nextFree = -Infinity;
+    column.forEach(id => {
+      const placedParents = parents.get(id).filter(parentId => y.has(parentId));
+      const desired = placedParents.length > 0
+        ? placedParents.reduce((total, parentId) => total + y.get(parentId), 0) / placedParents.length
+        : nextFree === -Infinity ? 0 : nextFree;
+      const top = Math.max(desired, nextFree);
+      y.set(id, top);
+      positions.set(id, { x, y: top });
+      nextFree = top + sizeOf(nodeById.get(id)).height + ROW_GAP;
+    });
+    x += width + COLUMN_GAP;
+  });
+
+  // Keep the block's top-left corner where it was
+  const originX = Math.min(...members.map(node => node.position.x));
+  const originY = Math.min(...members.map(node => node.position.y));
+  const layoutTop = Math.min(...[...positions.values()].map(position => position.y));
+  positions.forEach((position, id) => {
+    positions.set(id, { x: snap(originX + position.x), y: snap(originY + position.y - layoutTop) });
+  });
+  return positions;
+};
@@ -0,0 +1,88 @@
+/**
+ * Milestone Risk Utility
+ *
+ * DESIGN OVERVIEW:
+ * ================
+ * Milestones are zero-duration nodes with an optional target date. Their forecast
+ * arrival is the project-wide forward pass (every pending task, no goal needed),
+ * mapped onto the working calendar.
+ *
+ * RISK (red / amber / green):
+ * - red: the expected arrival is after the target date
+ * - amber: expected arrival makes it, but the P90 arrival (normal approximation over
+ *   the chain that determines the arrival) does not
+ * - green: even the P90 arrival is on or before the target date
+ * - unknown: a task leading to the milestone has no estimate yet
+ * Done milestones are reported as 'done'; someday milestones and milestones without a
+ * target have no risk.
+ */
+
+import { calculateProjectSchedule, getPercentile, isMilestone } from './timeUtils';
+import { scheduleToDates } from './calendarUtils';
+
+export const RISK_LABELS = {
+  red: 'Late',
+  amber: 'At Risk',
+  green: 'On Track',
+  unknown: 'Unknown',
+  done: 'Reached',
+};
+
+/**
+ * Forecast and risk for every milestone in the project
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @param {Object} settings - Project settings (calendar and time units)
+ * @returns {Map} Map of milestoneId -> { risk, targetDate, forecastDate?, p90Date? }
+ */
+export const calculateMilestoneRisks = (nodes, edges, settings) => {
+  const risks = new Map();
+  const milestones = nodes.filter(node => isMilestone(node) && node.data.targetDate);
+  if (milestones.length === 0) {
+    return risks;
+  }
+
+  const schedule = calculateProjectSchedule(nodes, edges, settings);
+
+  // Arrival offsets (expected and P90) as zero-length entries so scheduleToDates
+  // returns the last working day each one falls on
+  const expectedArrivals = new Map();
+  const p90Arrivals = new Map();
+  schedule.forEach((entry, nodeId) => {
+    const p90 = getPercentile(entry.earlyFinish, entry.variance, 90);
+    expectedArrivals.set(nodeId, { earlyStart: 0, earlyFinish: entry.earlyFinish });
+    p90Arrivals.set(nodeId, { earlyStart: 0, earlyFinish: p90 });
+  });
+  const expectedDates = scheduleToDates(expectedArrivals, settings);
+  const p90Dates = scheduleToDates(p90Arrivals, settings);
+
+  milestones.forEach(node => {
+    const { targetDate, status } = node.data;
+    if (status === 'someday') {
+      return;
+    }
+    if (status === 'done') {
+      risks.set(node.id, { risk: 'done', targetDate });
+      return;
+    }
+
+    const entry = schedule.get(node.id);
+    const forecastDate = expectedDates.get(node.id)?.finishDate;
+    if (!entry || entry.blocked || !forecastDate) {
+      risks.set(node.id, { risk: 'unknown', targetDate, forecastDate });
+      return;
+    }
+
+    const p90Date = p90Dates.get(node.id)?.finishDate;
+    // ISO dates compare correctly as strings
+    let risk = 'green';
+    if (forecastDate > targetDate) {
+      risk = 'red';
+    } else if (p90Date > targetDate) {
+      risk = 'amber';
+    }
+    risks.set(node.id, { risk, targetDate, forecastDate, p90Date });
+  });
+
+  return risks;
+};
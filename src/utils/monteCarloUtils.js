@@ -0,0 +1,198 @@
+/**
+ * Monte Carlo Forecast Utility
+ *
+ * DESIGN OVERVIEW:
+ * ================
+ * Instead of a single critical-path number, sample every task's duration many times
+ * and record when the selected goal would finish in each run. The resulting
+ * distribution answers "how likely are we to be done within X?".
+ *
+ * MODEL:
+ * - Tasks: pending tasks on the path to the goal (same set as the schedule)
+ * - Durations: triangular distribution over optimistic / likely / pessimistic days
+ *   (a task with a single or assumed estimate always takes exactly that long)
+ * - Completion: start = latest constraint among predecessors on the path (their
+ *   finish, start or finish less own duration for FS / SS / FF, plus lag), and
+ *   finish = start + own duration; soft links are ignored
+ *
+ * The model is plain data so it can be posted to a Web Worker; simulation itself
+ * lives in src/workers/forecastWorker.js and never runs on the main thread.
+ */
+
+import { getTaskRange } from './timeUtils';
+import { getGraphIndex } from './graphUtils';
+
+/**
+ * Build a serializable simulation model for the selected goal
+ * @param {Map} schedule - Result of calculateSchedule for the goal
+ * @param {string} goalId - The selected goal node
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @param {Object} units - Project conversion rules (see getTimeUnits in timeUtils)
+ * @returns {Object|null} { tasks: [{ optimistic, likely, pessimistic, predecessors: [{ index, type, lag }] }], goalIndex }, or null
+ */
+export const buildSimulationModel = (schedule, goalId, nodes, edges, units) => {
+  if (!schedule || !schedule.has(goalId)) {
+    return null;
+  }
+
+  // Hard dependencies between path tasks
+  const { nodeById, incoming } = getGraphIndex(nodes, edges);
+  const dependencies = [];
+  schedule.forEach((_, nodeId) => {
+    (incoming.get(nodeId) || []).forEach(dependency => {
+      if (schedule.has(dependency.source)) dependencies.push(dependency);
+    });
+  });
+
+  // Topological order over path tasks (Kahn's algorithm)
+  const inDegree = new Map();
+  const successors = new Map();
+  schedule.forEach((_, nodeId) => {
+    inDegree.set(nodeId, 0);
+    successors.set(nodeId, []);
+  });
+  dependencies.forEach(dependency => {
+    successors.get(dependency.source).push(dependency.target);
+    inDegree.set(dependency.target, inDegree.get(dependency.target) + 1);
+  });
+
+  const queue = [...inDegree.keys()].filter(nodeId => inDegree.get(nodeId) === 0);
+  const order = [];
+  while (queue.length > 0) {
+    const nodeId = queue.shift();
+    order.push(nodeId);
+    successors.get(nodeId).forEach(successorId => {
+      inDegree.set(successorId, inDegree.get(successorId) - 1);
+      if (inDegree.get(successorId) === 0) queue.push(successorId);
+    });
+  }
+
+  // A cycle leaves tasks unordered; the forecast would be meaningless
+  if (order.length !== schedule.size) {
+    return null;
+  }
+
+  const indexOf = new Map(order.map((nodeId, index) => [nodeId, index]));
+  const tasks = order.map(nodeId => {
+    // An assumed estimate is a single value, so it takes exactly that long
+    const { assumed, duration, factor = 1 } = schedule.get(nodeId);
+    if (assumed) {
+      return { optimistic: duration, likely: duration, pessimistic: duration, predecessors: [] };
+    }
+    // Calibrated forecasts stretch the whole range by the task's correction factor
+    const { optimistic, likely, pessimistic } = getTaskRange(nodeById.get(nodeId).data, units);
+    return { optimistic: optimistic * factor, likely: likely * factor, pessimistic: pessimistic * factor, predecessors: [] };
+  });
+  dependencies.forEach(({ source, target, type, lag }) => {
+    tasks[indexOf.get(target)].predecessors.push({ index: indexOf.get(source), type, lag });
+  });
+
+  return { tasks, goalIndex: indexOf.get(goalId) };
+};
+
+/**
+ * Sample a triangular distribution by inverse transform
+ * @param {number} a - Minimum (optimistic)
+ * @param {number} c - Mode (likely)
+ * @param {number} b - Maximum (pessimistic)
+ * @param {number} u - Uniform random number in [0, 1)
+ * @returns {number} Sampled value
+ */
+const sampleTriangular = (a, c, b, u) => {
+  if (b <= a) return c;
+  const split = (c - a) / (b - a);
+  return u < split
+    ? a + Math.sqrt(u * (b - a) * (c - a))
+    : b - Math.sqrt((1 - u) * (b - a) * (b - c));
+};
+
+/**
+ * Run the simulation
+ * @param {Object} model - Result of buildSimulationModel
+ * @param {number} iterations - Number of runs
+ * @param {Function} random - Uniform random source (injectable for reproducibility)
+ * @returns {Float64Array} Sorted goal completion times in working days
+ */
+export const runSimulation = (model, iterations, random = Math.random) => {
+  const { tasks, goalIndex } = model;
+  const starts = new Float64Array(tasks.length);
+  const finish = new Float64Array(tasks.length);
+  const samples = new Float64Array(iterations);
+
+  for (let run = 0; run < iterations; run++) {
+    // Tasks are in topological order, so predecessors are always computed first
+    for (let i = 0; i < tasks.length; i++) {
+      const task = tasks[i];
+      const optimistic = Math.min(task.optimistic, task.likely);
+      const pessimistic = Math.max(task.pessimistic, task.likely);
+      const duration = sampleTriangular(optimistic, task.likely, pessimistic, random());
+      let start = 0;
+      for (const { index, type, lag } of task.predecessors) {
+        const bound = type === 'SS'
+          ? starts[index] + lag
+          : finish[index] + lag - (type === 'FF' ? duration : 0);
+        if (bound > start) start = bound;
+      }
+      starts[i] = start;
+      finish[i] = start + duration;
+    }
+    samples[run] = finish[goalIndex];
+  }
+
+  return samples.sort();
+};
+
+/**
+ * Value below which the given fraction of sorted samples fall
+ * @param {Float64Array} sorted - Sorted samples
+ * @param {number} fraction - 0..1
+ * @returns {number} Sample value
+ */
+const quantile = (sorted, fraction) => (
+  sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(fraction * sorted.length) - 1))]
+);
+
+/**
+ * Summarize simulation samples into percentiles and a histogram with cumulative share
+ * @param {Float64Array} sorted - Sorted samples from runSimulation
+ * @param {number} binCount - Number of histogram bins
+ * @returns {Object} { iterations, min, max, mean, percentiles: {50, 85, 95}, bins: [{ from, to, count, cumulative }] }
+ */
+export const summarizeSimulation = (sorted, binCount = 20) => {
+  const iterations = sorted.length;
+  const min = sorted[0];
+  const max = sorted[iterations - 1];
+  const mean = sorted.reduce((total, value) => total + value, 0) / iterations;
+
+  const width = (max - min) / binCount || 1;
+  const bins = Array.from({ length: max > min ? binCount : 1 }, (_, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count: 0,
+    cumulative: 0,
+  }));
+  sorted.forEach(value => {
+    const index = Math.min(bins.length - 1, Math.floor((value - min) / width));
+    bins[index].count++;
+  });
+
+  let seen = 0;
+  bins.forEach(bin => {
+    seen += bin.count;
+    bin.cumulative = seen / iterations;
+  });
+
+  return {
+    iterations,
+    min,
+    max,
+    mean,
+    percentiles: {
+      50: quantile(sorted, 0.5),
+      85: quantile(sorted, 0.85),
+      95: quantile(sorted, 0.95),
+    },
+    bins,
+  };
+};
@@ -0,0 +1,116 @@
+/**
+ * Resource Levelling Utility
+ *
+ * DESIGN OVERVIEW:
+ * ================
+ * The ↓ (min) metric assumes unlimited parallelism. This module produces a third,
+ * resource-constrained metric by scheduling the path tasks onto the people who can
+ * actually do the work.
+ *
+ * PEOPLE:
+ * - Each person has a capacity (1 = full time, 0.5 = half time)
+ * - A task assigned to a person takes duration / capacity days and blocks that person
+ * - Unassigned tasks go to whichever person can finish them earliest
+ * - Zero-duration entries (milestones) pass straight through without a person
+ *
+ * ALGORITHM (serial list scheduling):
+ * ===================================
+ * 1. Start from the forward/backward-pass schedule of the selected goal
+ * 2. Repeatedly pick the most urgent eligible task (all path predecessors placed),
+ *    ordered by latest start (or earliest start when no backward pass is available)
+ * 3. Place it at max(dependency constraints, person available) on its person, where
+ *    a predecessor's finish, start or finish less the task's duration (FS / SS / FF)
+ *    plus lag is the constraint; soft links are ignored
+ * 4. A person's timeline only moves forward, so idle gaps are not back-filled
+ */
+
+import { getGraphIndex } from './graphUtils';
+
+/**
+ * Effective capacity of a person (guards against zero/invalid values)
+ * @param {Object} person - { id, name, capacity }
+ * @returns {number} Capacity as a fraction of full time
+ */
+const getCapacity = (person) => {
+  const capacity = parseFloat(person.capacity);
+  return capacity > 0 ? capacity : 1;
+};
+
+/**
+ * Schedule path tasks onto people with limited capacity
+ * @param {Map} schedule - Result of calculateSchedule (nodeId -> { earlyStart, duration, lateStart? })
+ * @param {Array} people - All people ({ id, name, capacity })
+ * @param {Array} nodes - All nodes (for assignees)
+ * @param {Array} edges - All edges
+ * @returns {Map} Map of nodeId -> { start: days, finish: days, personId }
+ */
+export const calculateLeveledSchedule = (schedule, people, nodes, edges) => {
+  const leveled = new Map();
+  if (!people || people.length === 0 || schedule.size === 0) {
+    return leveled;
+  }
+
+  const peopleById = new Map(people.map(person => [person.id, person]));
+  const freeAt = new Map(people.map(person => [person.id, 0]));
+
+  // Hard dependencies restricted to tasks that are themselves on the schedule
+  const { nodeById, incoming } = getGraphIndex(nodes, edges);
+  const predecessors = new Map();
+  schedule.forEach((_, nodeId) => {
+    predecessors.set(nodeId, (incoming.get(nodeId) || []).filter(dependency => schedule.has(dependency.source)));
+  });
+
+  // Lower latest start = more urgent; ties broken by earliest start
+  const isMoreUrgent = (a, b) => {
+    const entryA = schedule.get(a);
+    const entryB = schedule.get(b);
+    const urgencyA = entryA.lateStart ?? entryA.earlyStart;
+    const urgencyB = entryB.lateStart ?? entryB.earlyStart;
+    return urgencyA !== urgencyB ? urgencyA < urgencyB : entryA.earlyStart < entryB.earlyStart;
+  };
+
+  const remaining = new Set(schedule.keys());
+  while (remaining.size > 0) {
+    const eligible = [...remaining].filter(nodeId =>
+      predecessors.get(nodeId).every(dependency => leveled.has(dependency.source))
+    );
+
+    // Only possible with a dependency cycle; leave the rest unscheduled
+    if (eligible.length === 0) {
+      break;
+    }
+
+    const nodeId = eligible.reduce((best, id) => (isMoreUrgent(id, best) ? id : best));
+
+    const { duration } = schedule.get(nodeId);
+    const ready = Math.max(0, ...predecessors.get(nodeId).map(({ source, type, lag }) => {
+      const placed = leveled.get(source);
+      if (type === 'SS') return placed.start + lag;
+      return placed.finish + lag - (type === 'FF' ? duration : 0);
+    }));
+
+    // Zero-duration entries (milestones, finished work) don't occupy anyone
+    if (duration === 0) {
+      leveled.set(nodeId, { start: ready, finish: ready, personId: null });
+      remaining.delete(nodeId);
+      continue;
+    }
+
+    const finishOn = (person) => Math.max(ready, freeAt.get(person.id)) + duration / getCapacity(person);
+
+    // Use the assignee if they still exist, otherwise whoever can finish first
+    const assigneeId = nodeById.get(nodeId)?.data.assignee;
+    const person = peopleById.get(assigneeId) || people.reduce((best, candidate) => (
+      finishOn(candidate) < finishOn(best) ? candidate : best
+    ));
+
+    const start = Math.max(ready, freeAt.get(person.id));
+    const finish = finishOn(person);
+
+    freeAt.set(person.id, finish);
+    leveled.set(nodeId, { start, finish, personId: person.id });
+    remaining.delete(nodeId);
+  }
+
+  return leveled;
+};
@@ -0,0 +1,95 @@
+/**
+ * Subproject Utility
+ *
+ * DESIGN OVERVIEW:
+ * ================
+ * A subproject node stands for a goal task in another project file, so a master plan
+ * can depend on sub-plans kept in their own files.
+ *
+ * - Linking reads the other file and copies a summary of its goal into the node:
+ *   status, remaining ↓ (in working days) and done/total counts along the goal's path
+ * - The node then keeps status/estimatedTime like a task, so frontier, times, schedules
+ *   and forecasts use it without knowing about other files
+ * - The summary is a snapshot: it changes only when the node is refreshed. File handles
+ *   can't be saved, so after a reload the file must be picked again to refresh
+ * - State shown on the node: 'unlinked' (no file yet), 'missing' (the file or its goal
+ *   couldn't be read on the last refresh), 'stale' (older than SUBPROJECT_STALE_HOURS,
+ *   or the file changed after it was read), 'fresh'
+ */
+
+import { getGraphIndex } from './graphUtils';
+import { calculateSchedule, defaultAssumedEstimate, defaultTimeUnits, isMilestone } from './timeUtils';
+
+// A summary older than this is flagged for refresh
+export const SUBPROJECT_STALE_HOURS = 24;
+
+export const SUBPROJECT_STATE_LABELS = {
+  unlinked: 'Not Linked',
+  missing: 'Missing',
+  stale: 'Stale',
+  fresh: 'Up to Date',
+};
+
+/**
+ * Tasks of a project that can serve as its goal: the end points of the plan (nothing
+ * depends on them), falling back to every task
+ * @param {Object} project - Parsed project file ({ nodes, edges, ... })
+ * @returns {Array} [{ id, title }] ordered by title
+ */
+export const findGoalCandidates = (project) => {
+  const index = getGraphIndex(project.nodes, project.edges);
+  const endPoints = project.nodes.filter(node => (index.children.get(node.id) || []).length === 0);
+  return (endPoints.length > 0 ? endPoints : project.nodes)
+    .map(node => ({ id: node.id, title: node.data.title || 'Untitled Task' }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+};
+
+/**
+ * Summarize a goal task of another project file
+ * @param {Object} project - Parsed project file ({ nodes, edges, settings })
+ * @param {string} goalTaskId - Goal task in that file
+ * @returns {Object|null} { goalTitle, status, remaining, done, total } (remaining in days,
+ *   null when a task leading there has no estimate), or null if the goal doesn't exist
+ */
+export const summarizeSubproject = (project, goalTaskId) => {
+  const { nodes, edges } = project;
+  const index = getGraphIndex(nodes, edges);
+  const goal = index.nodeById.get(goalTaskId);
+  if (!goal) return null;
+
+  // The file's own units and assumptions decide its times
+  const units = { ...defaultTimeUnits, ...defaultAssumedEstimate, ...project.settings };
+  const path = [...index.getAncestors(goalTaskId)].map(id => index.nodeById.get(id));
+  const tasks = path.filter(node => !isMilestone(node));
+  const done = tasks.filter(node => node.data.status === 'done').length;
+  const started = path.some(node => node.data.status === 'in-progress' || (node.data.status === 'done' && node.id !== goalTaskId));
+
+  let status = 'todo';
+  if (goal.data.status === 'done' || goal.data.status === 'someday') {
+    status = goal.data.status;
+  } else if (started) {
+    status = 'in-progress';
+  }
+
+  // ↓: the goal's earliest finish, with as much work in parallel as its dependencies allow
+  const remaining = status === 'done' || status === 'someday'
+    ? 0
+    : (calculateSchedule(goalTaskId, nodes, edges, units).get(goalTaskId)?.earlyFinish ?? null);
+
+  return { goalTitle: goal.data.title || 'Untitled Task', status, remaining, done, total: tasks.length };
+};
+
+/**
+ * How trustworthy the node's copy of the subproject is
+ * @param {Object} data - Subproject node data
+ * @param {boolean} sourceChanged - Whether the file was modified after it was read
+ * @param {Date} now - Current time
+ * @returns {string} 'unlinked' | 'missing' | 'stale' | 'fresh'
+ */
+export const getSubprojectState = (data, sourceChanged = false, now = new Date()) => {
+  if (!data.fileName) return 'unlinked';
+  if (data.linkError) return 'missing';
+  if (!data.refreshedAt) return 'stale';
+  const ageHours = (now - new Date(data.refreshedAt)) / 3600000;
+  return ageHours > SUBPROJECT_STALE_HOURS || sourceChanged ? 'stale' : 'fresh';
+};
@@ -0,0 +1,106 @@
+/**
+ * Template Utility
+ *
+ * DESIGN OVERVIEW:
+ * ================
+ * Templates are reusable subgraphs (e.g. "design → implement → test → release") kept
+ * apart from any project: they are saved with the app, not in project files, and are
+ * moved between machines with their own export file.
+ *
+ * - A template is a clipboard subgraph (see clipboardUtils): nodes at positions relative
+ *   to its top-left, the edges between them and the tags they use
+ * - Only what describes the work is kept (titles, estimates, tags); status, history,
+ *   assignees and progress start fresh on every insert
+ * - Text like {feature} in titles, descriptions and notes is a placeholder, asked for
+ *   and filled in when the template is inserted
+ */
+
+export const TEMPLATES_FORMAT = 'frontier-planner/templates';
+
+// Node fields a template keeps; the rest come from the node type's defaults on insert
+const TEMPLATE_FIELDS = [
+  'title', 'description', 'note', 'primaryTag', 'tags',
+  'estimatedTime', 'estimatedTimeUnit', 'optimisticTime', 'pessimisticTime',
+];
+
+// Fields that may hold placeholders
+const TEXT_FIELDS = ['title', 'description', 'note'];
+
+const PLACEHOLDER_PATTERN = /\{([^{}]+)\}/g;
+
+// Size used for nodes in the template (not measured on the canvas)
+const DEFAULT_SIZE = { width: 200, height: 80 };
+
+/**
+ * Keep only the reusable part of a copied subgraph
+ * @param {Object} clip - Parsed clipboard subgraph ({ nodes, edges, tags })
+ * @returns {Object} Subgraph with trimmed node data
+ */
+export const toTemplateSubgraph = (clip) => ({
+  ...clip,
+  nodes: clip.nodes.map(node => ({
+    ...node,
+    data: Object.fromEntries(TEMPLATE_FIELDS.filter(field => node.data[field] !== undefined).map(field => [field, node.data[field]])),
+  })),
+});
+
+/**
+ * Placeholder names used in a template, in order of first use
+ * @param {Object} subgraph - Template subgraph
+ * @returns {Array} e.g. ['feature']
+ */
+export const findPlaceholders = (subgraph) => {
+  const names = new Set();
+  subgraph.nodes.forEach(node => {
+    TEXT_FIELDS.forEach(field => {
+      for (const match of (node.data[field] || '').matchAll(PLACEHOLDER_PATTERN)) {
+        names.add(match[1].trim());
+      }
+    });
+  });
+  return [...names];
+};
+
+/**
+ * Fill placeholders in a template's text; blank values leave the placeholder as is
+ * @param {Object} subgraph - Template subgraph
+ * @param {Object} values - Placeholder name -> text
+ * @returns {Object} Subgraph with filled node data
+ */
+export const fillPlaceholders = (subgraph, values) => {
+  const fill = (text) => text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => values[name.trim()]?.trim() || placeholder);
+  return {
+    ...subgraph,
+    nodes: subgraph.nodes.map(node => ({
+      ...node,
+      data: {
+        ...node.data,
+        ...Object.fromEntries(TEXT_FIELDS.filter(field => node.data[field]).map(field => [field, fill(node.data[field])])),
+      },
+    })),
+  };
+};
+
+/**
+ * Approximate extent of a template, to center it where it is inserted
+ * @param {Object} subgraph - Template subgraph
+ * @returns {Object} { width, height }
+ */
+export const getTemplateSize = (subgraph) => ({
+  width: Math.max(...subgraph.nodes.map(node => node.position.x)) + DEFAULT_SIZE.width,
+  height: Math.max(...subgraph.nodes.map(node => node.position.y)) + DEFAULT_SIZE.height,
+});
+
+/**
+ * Read a templates export file
+ * @param {string} text - File contents
+ * @returns {Array} Templates in the file
+ * @throws {Error} If the file isn't a templates export
+ */
+export const parseTemplates = (text) => {
+  const data = JSON.parse(text);
+  if (data.format !== TEMPLATES_FORMAT || !Array.isArray(data.templates)) {
+    throw new Error('Not a templates file');
+  }
+  return data.templates.filter(template => template.name && template.subgraph?.nodes?.length > 0);
+};
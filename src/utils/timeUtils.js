@@ -9,83 +9,555 @@
  * - Sum: Total time counting each unique task once (avoids double-counting shared ancestors)
  * - Min: Minimum time with maximum parallelism (critical path)
  * 
+ * THREE-POINT ESTIMATES (PERT):
+ * - Tasks may add optimistic/pessimistic values around the likely estimate
+ * - Each task contributes its expected duration (o + 4m + p) / 6 and variance ((p - o) / 6)²
+ * - Sum adds the variance of every task; Min adds the variance along the critical chain
+ * - P50/P90 ranges use a normal approximation of the path total
+ * 
+ * REMAINING WORK:
+ * - In-progress tasks only count the work that is left: an explicit remaining estimate
+ *   wins, otherwise the estimate is scaled by (100 - percent complete)
+ * - The whole three-point range is scaled, so uncertainty shrinks as work is done
+ * - Actual time logged is tracked for reference and never changes the forecast
+ * 
+ * ASSUMED ESTIMATES:
+ * - Off by default: a task without an estimate is a barrier and hides downstream times
+ * - Optionally (Project Settings) pending tasks without an estimate assume a default
+ *   value, or the median estimate of tasks with the same primary tag
+ * - Results that depend on an assumption list the assumed tasks, so they can be
+ *   shown as "includes N assumed estimates" next to the numbers
+ * 
+ * CALIBRATION:
+ * - Tasks record when they were started and completed; the actual duration is the
+ *   time logged on them, or else the working days between the two
+ * - Each tag's estimate-to-actual ratio is Σ actual / Σ estimate over its completed
+ *   tasks (at least MIN_CALIBRATION_SAMPLES), with all tasks as the fallback
+ * - With calibration on (Project Settings or the time badge), every pending task's
+ *   expected time and spread are multiplied by its ratio
+ * 
  * TIME UNITS:
- * - 1 week = 5 days (work days)
- * - 1 month = 4 weeks = 20 days
+ * - Calculations use working days; hours, weeks and months are converted with the
+ *   project's conversion rules (defaults: 8 hours/day, 5 days/week, 4 weeks/month)
  * - Display using the largest unit with non-zero integer part
  * 
  * ALGORITHM:
  * ==========
+ * Graph lookups (nodes by id, parents, ancestor sets) go through the shared graph
+ * index, so each pass is linear in the size of the path.
  * 1. Start from selected node and backtrace to find all ancestors
  * 2. For Sum: Count own time of each unique ancestor exactly once (avoid double-counting)
  * 3. For Min: Recursively calculate: own_time + max(min_time of all direct parents)
+ *    (start-to-start / finish-to-finish dependencies and lag shift the start, see
+ *    DEPENDENCY TYPES in graphUtils; soft links are ignored)
  * 4. Done/someday nodes contribute 0 time and stop the search
+ * 5. Several targets: Sum over the union of their ancestors, Min = longest chain to any
+ * 
+ * SCHEDULE:
+ * =========
+ * A forward pass gives each pending task on the path an earliest start/finish offset
+ * in working days. calendarUtils maps these offsets onto real dates.
+ * A backward pass from the selected goal gives latest start/finish; the difference is
+ * the task's total float (slack). Zero-float tasks form the critical path.
+ * The project schedule (used by the Gantt view) runs the same forward pass over every
+ * pending task; missing estimates count as zero instead of blocking.
+ * 
+ * FRONTIER RANKING:
+ * =================
+ * Frontier tasks of the selected goal(s) are ranked by a weighted score
+ * (FRONTIER_RANK_WEIGHTS), each part relative to the best frontier task:
+ * - critical: how much ↓ to the goal would shrink if the task took no time
+ * - unblocks: path tasks whose last pending dependency is this task
+ * - downstream: estimated work on the path that depends on this task
  */
 
+import { getDependency, getGraphIndex } from './graphUtils';
+import { countWorkingDays } from './calendarUtils';
+
+// Default conversion rules (overridable per project in settings)
+export const defaultTimeUnits = {
+  hoursPerDay: 8,
+  daysPerWeek: 5,
+  weeksPerMonth: 4,
+};
+
+export const TIME_UNITS = ['hours', 'days', 'weeks', 'months'];
+
+// Fallback for tasks without an estimate (off, default value, or median of the tag)
+export const defaultAssumedEstimate = {
+  assumedEstimateMode: 'off', // 'off' | 'default' | 'tag-median'
+  assumedEstimate: 1,
+  assumedEstimateUnit: 'days',
+};
+
+// Forecasts use raw estimates unless calibration is turned on
+export const defaultCalibration = {
+  calibrateEstimates: false,
+};
+
+/**
+ * Resolve conversion rules, falling back to defaults for missing or invalid values
+ * @param {Object} units - Project settings ({ hoursPerDay, daysPerWeek, weeksPerMonth })
+ * @returns {Object} Conversion rules with positive numbers only
+ */
+export const getTimeUnits = (units = defaultTimeUnits) => {
+  const resolved = {};
+  Object.keys(defaultTimeUnits).forEach(key => {
+    const value = parseFloat(units?.[key]);
+    resolved[key] = value > 0 ? value : defaultTimeUnits[key];
+  });
+  return resolved;
+};
+
 /**
  * Convert time to days for calculation
  * @param {number} value - The time value
- * @param {string} unit - 'days', 'weeks', or 'months'
+ * @param {string} unit - 'hours', 'days', 'weeks', or 'months'
+ * @param {Object} units - Project conversion rules (see getTimeUnits)
  * @returns {number} Time in days
  */
-export const convertToDays = (value, unit) => {
+export const convertToDays = (value, unit, units) => {
   const numValue = parseFloat(value);
   if (!numValue || numValue <= 0 || isNaN(numValue)) return 0;
   
+  const { hoursPerDay, daysPerWeek, weeksPerMonth } = getTimeUnits(units);
   switch (unit) {
+    case 'hours':
+      return numValue / hoursPerDay;
     case 'weeks':
-      return numValue * 5; // 5 work days per week
+      return numValue * daysPerWeek;
     case 'months':
-      return numValue * 20; // 4 weeks * 5 days
+      return numValue * daysPerWeek * weeksPerMonth;
     case 'days':
     default:
       return numValue;
   }
 };
 
+/**
+ * Convert days back to a value in the given unit (inverse of convertToDays)
+ * @param {number} days - Time in days
+ * @param {string} unit - 'hours', 'days', 'weeks', or 'months'
+ * @param {Object} units - Project conversion rules (see getTimeUnits)
+ * @returns {number} Time in the given unit
+ */
+export const convertFromDays = (days, unit, units) => {
+  return days / convertToDays(1, unit, units);
+};
+
+/**
+ * Format a value with singular/plural unit name
+ * @param {number} amount - Value in the given unit
+ * @param {string} singular - Singular unit name
+ * @returns {string} Formatted string like "2.5 weeks"
+ */
+const formatAmount = (amount, singular) => {
+  const value = amount.toFixed(1).replace(/\.0$/, '');
+  return `${value} ${parseFloat(value) === 1 ? singular : `${singular}s`}`;
+};
+
 /**
  * Format days to best unit (largest unit with non-zero integer part)
  * @param {number} days - Time in days
+ * @param {Object} units - Project conversion rules (see getTimeUnits)
  * @returns {string} Formatted string like "2.5 weeks" or "1.2 months"
  */
-export const formatTime = (days) => {
+export const formatTime = (days, units) => {
   const numDays = parseFloat(days);
   if (!numDays || numDays <= 0 || isNaN(numDays)) return '';
   
-  // Try months (20 days)
-  if (numDays >= 20) {
-    const months = numDays / 20;
-    const value = months.toFixed(1).replace(/\.0$/, '');
-    return `${value} ${parseFloat(value) === 1 ? 'month' : 'months'}`;
+  const { hoursPerDay, daysPerWeek, weeksPerMonth } = getTimeUnits(units);
+  const daysPerMonth = daysPerWeek * weeksPerMonth;
+  
+  if (numDays >= daysPerMonth) {
+    return formatAmount(numDays / daysPerMonth, 'month');
+  }
+  
+  if (numDays >= daysPerWeek) {
+    return formatAmount(numDays / daysPerWeek, 'week');
+  }
+  
+  if (numDays >= 1) {
+    return formatAmount(numDays, 'day');
+  }
+  
+  // Less than a day: hours read better than "0.3 days"
+  return formatAmount(numDays * hoursPerDay, 'hour');
+};
+
+/**
+ * Human-readable summary of the conversion rules, e.g. for tooltips
+ * @param {Object} units - Project conversion rules (see getTimeUnits)
+ * @returns {string} Multi-line description
+ */
+export const describeTimeUnits = (units) => {
+  const { hoursPerDay, daysPerWeek, weeksPerMonth } = getTimeUnits(units);
+  return `1 day = ${hoursPerDay} hours\n1 week = ${daysPerWeek} days\n1 month = ${weeksPerMonth} weeks`;
+};
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '';
+
+/**
+ * Whether a node is a milestone (zero duration, optional target date)
+ * @param {Object} node - React Flow node
+ * @returns {boolean} True for milestone nodes
+ */
+export const isMilestone = (node) => node?.type === 'milestoneNode';
+
+/**
+ * Whether a node stands for a goal in another project file (see subprojectUtils);
+ * its estimate is that file's remaining time, already calibrated there
+ * @param {Object} node - React Flow node
+ * @returns {boolean} True for subproject nodes
+ */
+export const isSubproject = (node) => node?.type === 'subprojectNode';
+
+/**
+ * Whether a node's own duration is known: tasks need an estimate, milestones take no time
+ * and a subproject with nothing left reports zero
+ * @param {Object} node - React Flow node
+ * @returns {boolean} True if the node can be scheduled on its own
+ */
+export const isEstimated = (node) => isMilestone(node) || Boolean(node.data.estimatedTime) ||
+  (isSubproject(node) && node.data.estimatedTime === 0);
+
+/**
+ * Progress of a task: how much of its estimate is left and how much time was logged
+ * remainingTime and actualTime are in estimatedTimeUnit, like the estimate itself.
+ * @param {Object} data - Task data
+ * @param {Object} units - Project conversion rules (see getTimeUnits)
+ * @returns {{percent: number, remainingFraction: number, remaining: number, actual: number}}
+ *   percent 0-100, fraction of the estimate still to do (may exceed 1 on overrun), days
+ */
+export const getTaskProgress = (data, units) => {
+  const total = convertToDays(data.estimatedTime, data.estimatedTimeUnit, units);
+  const actual = convertToDays(data.actualTime, data.estimatedTimeUnit, units);
+  
+  if (data.status === 'done') {
+    return { percent: 100, remainingFraction: 0, remaining: 0, actual };
+  }
+  
+  let remainingFraction = 1;
+  if (hasValue(data.remainingTime) && total > 0) {
+    remainingFraction = convertToDays(data.remainingTime, data.estimatedTimeUnit, units) / total;
+  } else if (hasValue(data.percentComplete)) {
+    remainingFraction = 1 - Math.min(100, Math.max(0, parseFloat(data.percentComplete) || 0)) / 100;
+  }
+  
+  const percent = Math.round(Math.min(100, Math.max(0, (1 - remainingFraction) * 100)));
+  return { percent, remainingFraction, remaining: total * remainingFraction, actual };
+};
+
+// z-scores of the standard normal distribution used for confidence ranges
+const Z_SCORES = { 50: 0, 90: 1.2816 };
+
+/**
+ * Optimistic/likely/pessimistic values of a task's whole estimate, in days (progress ignored)
+ * @param {Object} data - Task data
+ * @param {Object} units - Project conversion rules (see getTimeUnits)
+ * @returns {{optimistic: number, likely: number, pessimistic: number}} Days
+ */
+const getFullRange = (data, units) => {
+  const likely = convertToDays(data.estimatedTime, data.estimatedTimeUnit, units);
+  const optimistic = data.optimisticTime ? convertToDays(data.optimisticTime, data.estimatedTimeUnit, units) : likely;
+  const pessimistic = data.pessimisticTime ? convertToDays(data.pessimisticTime, data.estimatedTimeUnit, units) : likely;
+  return { optimistic, likely, pessimistic };
+};
+
+/**
+ * Expected duration and variance of a three-point range (Beta-PERT)
+ * @param {{optimistic: number, likely: number, pessimistic: number}} range - Days
+ * @returns {{expected: number, variance: number}} Expected days and variance in days²
+ */
+const toPert = ({ optimistic, likely, pessimistic }) => ({
+  // Weighted towards the most likely value
+  expected: (optimistic + 4 * likely + pessimistic) / 6,
+  variance: ((pessimistic - optimistic) / 6) ** 2,
+});
+
+/**
+ * Optimistic/likely/pessimistic values of the work left on a task, in days
+ * Tasks may carry optional optimisticTime/pessimisticTime next to estimatedTime (the
+ * most likely value), all in estimatedTimeUnit. Missing bounds fall back to the likely value.
+ * All three are scaled by the task's remaining fraction (see getTaskProgress).
+ * @param {Object} data - Task data
+ * @param {Object} units - Project conversion rules (see getTimeUnits)
+ * @returns {{optimistic: number, likely: number, pessimistic: number}} Days
+ */
+export const getTaskRange = (data, units) => {
+  const { optimistic, likely, pessimistic } = getFullRange(data, units);
+  const { remainingFraction } = getTaskProgress(data, units);
+  return {
+    optimistic: optimistic * remainingFraction,
+    likely: likely * remainingFraction,
+    pessimistic: pessimistic * remainingFraction,
+  };
+};
+
+/**
+ * Expected duration and variance of a task's own estimate (PERT)
+ * A single estimate has zero variance.
+ * @param {Object} data - Task data
+ * @param {Object} units - Project conversion rules (see getTimeUnits)
+ * @returns {{expected: number, variance: number}} Expected days and variance in days²
+ */
+export const getTaskEstimate = (data, units) => toPert(getTaskRange(data, units));
+
+/**
+ * Estimate changes that make a task's remaining expected duration equal the given days
+ * Existing estimates are scaled together, so three-point ranges and progress keep their shape.
+ * @param {Object} data - Task data
+ * @param {number} duration - Desired remaining duration in days
+ * @param {Object} units - Project conversion rules (see getTimeUnits)
+ * @returns {Object} Changes to apply with updateTask
+ */
+export const getEstimateForDuration = (data, duration, units) => {
+  const round = (value) => Math.round(value * 100) / 100;
+  const current = data.estimatedTime ? getTaskEstimate(data, units).expected : 0;
+  
+  if (!current) {
+    const value = round(convertFromDays(duration, data.estimatedTimeUnit, units));
+    // An estimated task with nothing left gets new remaining work, not a new estimate
+    return data.estimatedTime ? { remainingTime: value } : { estimatedTime: value };
+  }
+  
+  const ratio = duration / current;
+  const changes = {};
+  ['estimatedTime', 'optimisticTime', 'pessimisticTime', 'remainingTime'].forEach(field => {
+    if (parseFloat(data[field]) > 0) {
+      changes[field] = round(parseFloat(data[field]) * ratio);
+    }
+  });
+  return changes;
+};
+
+/**
+ * Percentile of a duration with the given expected value and variance (normal approximation)
+ * @param {number} expected - Expected days
+ * @param {number} variance - Variance in days²
+ * @param {number} percentile - 50 or 90
+ * @returns {number} Days
+ */
+export const getPercentile = (expected, variance, percentile) => (
+  expected + Z_SCORES[percentile] * Math.sqrt(variance || 0)
+);
+
+/**
+ * Format a duration as a "P50 / P90" range, or a single value when there is no uncertainty
+ * @param {number} expected - Expected days
+ * @param {number} variance - Variance in days²
+ * @param {Object} units - Project conversion rules (see getTimeUnits)
+ * @returns {string} Formatted string like "2 weeks / 2.6 weeks"
+ */
+export const formatTimeRange = (expected, variance, units) => {
+  if (!variance) return formatTime(expected, units);
+  return `${formatTime(getPercentile(expected, variance, 50), units)} / ${formatTime(getPercentile(expected, variance, 90), units)}`;
+};
+
+// Completed tasks a tag needs before its ratio is trusted
+export const MIN_CALIBRATION_SAMPLES = 3;
+
+/**
+ * How long a completed task actually took, in days
+ * @param {Object} data - Task data (actualTime, startedAt, completedAt)
+ * @param {Object} units - Project settings (conversion rules and calendar)
+ * @returns {number|null} Logged time, else working days from start to completion, or null
+ */
+export const getActualDuration = (data, units) => {
+  const logged = convertToDays(data.actualTime, data.estimatedTimeUnit, units);
+  if (logged > 0) {
+    return logged;
+  }
+  if (!data.startedAt || !data.completedAt) {
+    return null;
+  }
+  return countWorkingDays(data.startedAt, data.completedAt, units) || null;
+};
+
+/**
+ * Estimate-to-actual ratios learnt from completed tasks
+ * @param {Array} nodes - All nodes
+ * @param {Object} units - Project settings (conversion rules and calendar)
+ * @returns {Object} { tags: Map of tagId -> stats, overall: stats } where
+ *   stats = { count, estimated, actual, ratio } (days; ratio = actual / estimated)
+ */
+export const calculateCalibration = (nodes, units) => {
+  const createStats = () => ({ count: 0, estimated: 0, actual: 0, ratio: 1 });
+  const tags = new Map();
+  const overall = createStats();
+  
+  nodes.forEach(node => {
+    if (node.data.status !== 'done' || isMilestone(node) || isSubproject(node)) {
+      return;
+    }
+    const estimated = toPert(getFullRange(node.data, units)).expected;
+    const actual = getActualDuration(node.data, units);
+    if (!(estimated > 0) || actual === null) {
+      return;
+    }
+    
+    const groups = [overall];
+    if (node.data.primaryTag) {
+      if (!tags.has(node.data.primaryTag)) tags.set(node.data.primaryTag, createStats());
+      groups.push(tags.get(node.data.primaryTag));
+    }
+    groups.forEach(stats => {
+      stats.count++;
+      stats.estimated += estimated;
+      stats.actual += actual;
+      stats.ratio = stats.actual / stats.estimated;
+    });
+  });
+  
+  return { tags, overall };
+};
+
+/**
+ * Correction factor for a task: its tag's ratio, else the overall ratio, else 1 (always 1 for subprojects)
+ * @param {Object} calibration - Result of calculateCalibration
+ * @param {Object} node - React Flow node
+ * @returns {number} Multiplier for the task's expected time
+ */
+export const getCalibrationFactor = (calibration, node) => {
+  if (isSubproject(node)) {
+    return 1;
+  }
+  const tagStats = calibration.tags.get(node.data.primaryTag);
+  if (tagStats && tagStats.count >= MIN_CALIBRATION_SAMPLES) {
+    return tagStats.ratio;
+  }
+  return calibration.overall.count >= MIN_CALIBRATION_SAMPLES ? calibration.overall.ratio : 1;
+};
+
+/**
+ * Median of a list of numbers
+ * @param {Array<number>} values - Non-empty list
+ * @returns {number} Median value
+ */
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Durations assumed for pending tasks without an estimate (see ASSUMED ESTIMATES)
+ * With 'tag-median', the median likely estimate of every task sharing the primary tag
+ * is used; untagged tasks and tags without estimates fall back to the default value.
+ * In-progress tasks still count only the part left (percent complete).
+ * @param {Array} nodes - All nodes
+ * @param {Object} units - Project settings (assumedEstimateMode, assumedEstimate, assumedEstimateUnit)
+ * @returns {Map} Map of nodeId -> assumed remaining days (empty when the fallback is off)
+ */
+export const getAssumedEstimates = (nodes, units) => {
+  const assumed = new Map();
+  const mode = units?.assumedEstimateMode;
+  if (mode !== 'default' && mode !== 'tag-median') {
+    return assumed;
   }
   
-  // Try weeks (5 days)
-  if (numDays >= 5) {
-    const weeks = numDays / 5;
-    const value = weeks.toFixed(1).replace(/\.0$/, '');
-    return `${value} ${parseFloat(value) === 1 ? 'week' : 'weeks'}`;
+  const fallback = convertToDays(units.assumedEstimate, units.assumedEstimateUnit || 'days', units);
+  const tagMedians = new Map();
+  if (mode === 'tag-median') {
+    const estimatesByTag = new Map();
+    nodes.forEach(node => {
+      const days = convertToDays(node.data.estimatedTime, node.data.estimatedTimeUnit, units);
+      if (days > 0 && node.data.primaryTag) {
+        if (!estimatesByTag.has(node.data.primaryTag)) estimatesByTag.set(node.data.primaryTag, []);
+        estimatesByTag.get(node.data.primaryTag).push(days);
+      }
+    });
+    estimatesByTag.forEach((values, tagId) => tagMedians.set(tagId, median(values)));
   }
   
-  // Use days
-  const value = numDays.toFixed(1).replace(/\.0$/, '');
-  return `${value} ${parseFloat(value) === 1 ? 'day' : 'days'}`;
+  nodes.forEach(node => {
+    if (isEstimated(node) || node.data.status === 'done' || node.data.status === 'someday') {
+      return;
+    }
+    const days = tagMedians.get(node.data.primaryTag) ?? fallback;
+    if (days > 0) {
+      assumed.set(node.id, days * getTaskProgress(node.data, units).remainingFraction);
+    }
+  });
+  return assumed;
+};
+
+/**
+ * Own duration of each node for one calculation, filling in assumed estimates and
+ * applying calibration factors when they are turned on
+ * @param {Array} nodes - All nodes
+ * @param {Object} units - Project settings (conversion rules, assumed estimates, calibration)
+ * @returns {Object} { assumed, isEstimated(node), getFactor(node), getEstimate(node) -> { expected, variance } }
+ */
+const createEstimator = (nodes, units) => {
+  const assumed = getAssumedEstimates(nodes, units);
+  const calibration = units?.calibrateEstimates ? calculateCalibration(nodes, units) : null;
+  const getFactor = (node) => (calibration ? getCalibrationFactor(calibration, node) : 1);
+  return {
+    assumed,
+    getFactor,
+    isEstimated: (node) => isEstimated(node) || assumed.has(node.id),
+    getEstimate: (node) => {
+      const factor = getFactor(node);
+      const { expected, variance } = assumed.has(node.id)
+        ? { expected: assumed.get(node.id), variance: 0 }
+        : getTaskEstimate(node.data, units);
+      return { expected: expected * factor, variance: variance * factor ** 2 };
+    },
+  };
+};
+
+/**
+ * Earliest start a task's dependencies allow (see DEPENDENCY TYPES in graphUtils):
+ * finish-to-start waits for the source's finish, start-to-start for its start, and
+ * finish-to-finish for its finish less the task's own duration, each plus the lag
+ * @param {Array} dependencies - The task's incoming dependencies (index.incoming)
+ * @param {Function} getTimes - sourceId -> { start, finish } in days, or null when the source is complete
+ * @param {number} duration - The task's own duration in days
+ * @returns {Object} { start, driver } (never before 0; driver is the dependency that sets it, or null)
+ */
+const getEarliestStart = (dependencies, getTimes, duration) => {
+  let start = 0;
+  let driver = null;
+  dependencies.forEach(dependency => {
+    const times = getTimes(dependency.source);
+    if (!times) return;
+    let bound;
+    switch (dependency.type) {
+      case 'SS':
+        bound = times.start + dependency.lag;
+        break;
+      case 'FF':
+        bound = times.finish + dependency.lag - duration;
+        break;
+      case 'FS':
+      default:
+        bound = times.finish + dependency.lag;
+    }
+    if (bound > start) {
+      start = bound;
+      driver = dependency;
+    }
+  });
+  return { start, driver };
 };
 
 /**
  * Calculate min time (critical path) for a node recursively with memoization
  * @param {string} nodeId - The node ID to calculate
- * @param {Array} nodes - All nodes
- * @param {Array} edges - All edges
+ * @param {Object} index - Graph index (see getGraphIndex)
  * @param {Map} memo - Memoization map
+ * @param {Map} varianceMemo - Variance along the chain that determines each min time
+ * @param {Object} estimator - Own durations (see createEstimator)
  * @returns {number|null} Min time in days, or null if invalid (node or ancestor has no time)
  */
-const calculateMinTime = (nodeId, nodes, edges, memo) => {
+const calculateMinTime = (nodeId, index, memo, varianceMemo, estimator) => {
   // Check memo
   if (memo.has(nodeId)) {
     return memo.get(nodeId);
   }
   
-  const node = nodes.find(n => n.id === nodeId);
+  const node = index.nodeById.get(nodeId);
   if (!node) {
     memo.set(nodeId, null);
     return null;
@@ -94,29 +566,26 @@ const calculateMinTime = (nodeId, nodes, edges, memo) => {
   // Done/someday nodes contribute 0 time
   if (node.data.status === 'done' || node.data.status === 'someday') {
     memo.set(nodeId, 0);
+    varianceMemo.set(nodeId, 0);
     return 0;
   }
   
   // If node has no estimated time, return null (invalid)
-  if (!node.data.estimatedTime) {
+  if (!estimator.isEstimated(node)) {
     memo.set(nodeId, null);
     return null;
   }
   
-  // Get own time
-  const ownTime = convertToDays(node.data.estimatedTime, node.data.estimatedTimeUnit);
+  // Get own time (PERT expected duration)
+  const { expected: ownTime, variance: ownVariance } = estimator.getEstimate(node);
   
-  // Find all direct parents (incoming edges)
-  const parents = edges.filter(edge => edge.target === nodeId).map(edge => edge.source);
-  
-  // If no parents, just return own time
-  if (parents.length === 0) {
-    memo.set(nodeId, ownTime);
-    return ownTime;
-  }
+  // Direct dependencies (incoming hard edges)
+  const dependencies = index.incoming.get(nodeId) || [];
   
-  // Calculate min time of all parents and take max (critical path)
-  const parentMinTimes = parents.map(parentId => calculateMinTime(parentId, nodes, edges, memo));
+  // Calculate min time of all parents first. Until then the node counts as invalid, so
+  // a dependency loop back to it yields null instead of recursing forever
+  memo.set(nodeId, null);
+  const parentMinTimes = dependencies.map(dependency => calculateMinTime(dependency.source, index, memo, varianceMemo, estimator));
   
   // If any parent is invalid (null), this node is also invalid
   if (parentMinTimes.some(time => time === null)) {
@@ -124,36 +593,45 @@ const calculateMinTime = (nodeId, nodes, edges, memo) => {
     return null;
   }
   
-  const maxParentTime = Math.max(...parentMinTimes);
+  // Start as soon as every pending dependency allows (critical path)
+  const { start, driver } = getEarliestStart(dependencies, (parentId) => {
+    const parent = index.nodeById.get(parentId);
+    if (parent.data.status === 'done' || parent.data.status === 'someday') {
+      return null;
+    }
+    const finish = memo.get(parentId);
+    return { start: finish - estimator.getEstimate(parent).expected, finish };
+  }, ownTime);
   
-  const result = ownTime + maxParentTime;
+  // Variance follows the chain that determines the start
+  const result = start + ownTime;
   memo.set(nodeId, result);
+  varianceMemo.set(nodeId, ownVariance + (driver ? varianceMemo.get(driver.source) : 0));
   return result;
 };
 
 /**
- * Check if a node or any of its ancestors has missing time, with cycle detection
+ * Check if a node or any of its ancestors has missing time, or lies on or behind a
+ * dependency loop (which has no finish time either)
  * @param {string} nodeId - The node ID to check
- * @param {Array} nodes - All nodes
- * @param {Array} edges - All edges
- * @param {Set} visited - Set to track visited nodes (prevents cycles)
+ * @param {Object} index - Graph index (see getGraphIndex)
  * @param {Map} invalidCache - Cache for invalid status
+ * @param {Object} estimator - Own durations (see createEstimator)
+ * @param {Set} visiting - Nodes on the current search path (prevents cycles)
  * @returns {boolean} True if this node or any ancestor has missing time
  */
-const hasInvalidAncestor = (nodeId, nodes, edges, visited = new Set(), invalidCache = new Map()) => {
+const hasInvalidAncestor = (nodeId, index, invalidCache, estimator, visiting = new Set()) => {
   // Check cache first
   if (invalidCache.has(nodeId)) {
     return invalidCache.get(nodeId);
   }
   
   // Detect cycles
-  if (visited.has(nodeId)) {
-    return false; // Already being processed in this path, assume valid
+  if (visiting.has(nodeId)) {
+    return true; // Already being processed in this path: a loop can't be timed
   }
   
-  visited.add(nodeId);
-  
-  const node = nodes.find(n => n.id === nodeId);
+  const node = index.nodeById.get(nodeId);
   if (!node) {
     invalidCache.set(nodeId, false);
     return false;
@@ -166,181 +644,468 @@ const hasInvalidAncestor = (nodeId, nodes, edges, visited = new Set(), invalidCa
   }
   
   // If this node has no estimated time, it's invalid
-  if (!node.data.estimatedTime) {
+  if (!estimator.isEstimated(node)) {
     invalidCache.set(nodeId, true);
     return true;
   }
   
   // Check all parents
-  const parents = edges.filter(edge => edge.target === nodeId).map(edge => edge.source);
-  
-  for (const parentId of parents) {
-    // Create new visited set for each branch to allow different paths
-    const branchVisited = new Set(visited);
-    if (hasInvalidAncestor(parentId, nodes, edges, branchVisited, invalidCache)) {
-      invalidCache.set(nodeId, true);
-      return true;
-    }
-  }
+  visiting.add(nodeId);
+  const isInvalid = (index.parents.get(nodeId) || []).some(parentId =>
+    hasInvalidAncestor(parentId, index, invalidCache, estimator, visiting)
+  );
+  visiting.delete(nodeId);
   
-  invalidCache.set(nodeId, false);
-  return false;
+  invalidCache.set(nodeId, isInvalid);
+  return isInvalid;
 };
 
 /**
- * Find all unique ancestor nodes by backtracing, stopping at done/someday nodes
- * @param {string} nodeId - The node ID to start from
+ * Sum the own time of every pending, estimated node in a set (each counted once)
+ * @param {Set} nodeIds - Node IDs to add up
+ * @param {Object} index - Graph index (see getGraphIndex)
+ * @param {Object} estimator - Own durations (see createEstimator)
+ * @returns {Object} { sum, variance, assumedIds } in days / days², plus the assumed nodes
+ */
+const sumPendingTimes = (nodeIds, index, estimator) => {
+  let sum = 0;
+  let variance = 0;
+  const assumedIds = [];
+  nodeIds.forEach(id => {
+    const node = index.nodeById.get(id);
+    if (node && estimator.isEstimated(node) && node.data.status !== 'done' && node.data.status !== 'someday') {
+      const estimate = estimator.getEstimate(node);
+      sum += estimate.expected;
+      variance += estimate.variance;
+      if (estimator.assumed.has(id)) {
+        assumedIds.push(id);
+      }
+    }
+  });
+  return { sum, variance, assumedIds };
+};
+
+// Key of the combined entry returned when several targets are selected
+export const COMBINED_TIME_KEY = '__combined__';
+
+/**
+ * Calculate cumulative time estimates for all nodes in the dependency path
+ *
+ * With several targets, every node on a path to any of them gets its own entry, and
+ * the combined estimate is stored under COMBINED_TIME_KEY: Σ over the union of their
+ * ancestors (shared work counted once) and ↓ as the longest chain to any target.
+ * It is there whenever a target is pending, even if the others are done.
+ *
+ * @param {string|Iterable} targets - The target node ID, or a set of target IDs
+ * @param {Set} frontierTasks - Set of frontier task IDs (for display, not calculation)
  * @param {Array} nodes - All nodes
  * @param {Array} edges - All edges
- * @param {Set} visited - Set to track visited nodes (prevents cycles)
- * @returns {Set} Set of ancestor node IDs
+ * @param {Object} units - Project settings (conversion rules and assumed estimates)
+ * @returns {Map} Map of nodeId -> { sum, min, sumVariance, minVariance, assumedIds, isAssumed, showQuestionMark? }
+ *   (days / days²; assumedIds are the path tasks whose estimate was assumed)
  */
-const findAllAncestors = (nodeId, nodes, edges, visited = new Set()) => {
-  if (visited.has(nodeId)) {
-    return visited;
+export const calculateCumulativeTimes = (targets, frontierTasks, nodes, edges, units) => {
+  if (!targets) {
+    return new Map();
   }
+
+  const index = getGraphIndex(nodes, edges);
+  const estimator = createEstimator(nodes, units);
   
-  visited.add(nodeId);
-  
-  const node = nodes.find(n => n.id === nodeId);
-  if (!node) {
-    return visited;
+  // Don't show time labels for completed or someday targets
+  const targetIds = typeof targets === 'string' ? [targets] : [...targets];
+  const targetNodes = targetIds
+    .map(id => index.nodeById.get(id))
+    .filter(node => node && node.data.status !== 'done' && node.data.status !== 'someday');
+  if (targetNodes.length === 0) {
+    return new Map();
   }
   
-  // Stop at done/someday nodes (don't traverse beyond them)
-  if (node.data.status === 'done' || node.data.status === 'someday') {
-    return visited;
-  }
+  // Find all unique ancestors by backtracing from every target (targets included)
+  const pathNodes = new Set();
+  targetNodes.forEach(target => {
+    index.getPendingAncestors(target.id).forEach(id => pathNodes.add(id));
+  });
+  
+  const cumulativeTimes = new Map();
+  const invalidCache = new Map();
   
-  // Find all edges that point TO this node
-  const incomingEdges = edges.filter(edge => edge.target === nodeId);
+  // Calculate min time (and its chain variance) for all nodes using memoization
+  const minMemo = new Map();
+  const varianceMemo = new Map();
   
-  // Recursively find ancestors
-  incomingEdges.forEach(edge => {
-    findAllAncestors(edge.source, nodes, edges, visited);
+  // Calculate times for every node in the path (targets and their ancestors)
+  pathNodes.forEach(nodeId => {
+    const node = index.nodeById.get(nodeId);
+    if (!node || node.data.status === 'done' || node.data.status === 'someday') {
+      return;
+    }
+    
+    // If node has no estimated time, mark it with question mark
+    if (!estimator.isEstimated(node)) {
+      cumulativeTimes.set(nodeId, { sum: null, min: null, showQuestionMark: true });
+      return;
+    }
+    
+    // Check if this node has invalid ancestors
+    if (hasInvalidAncestor(nodeId, index, invalidCache, estimator)) {
+      return; // Skip nodes with invalid time
+    }
+    
+    // Calculate min time for this node (will use memo if available)
+    const nodeMin = calculateMinTime(nodeId, index, minMemo, varianceMemo, estimator);
+    
+    // Skip if min time is invalid
+    if (nodeMin === null) {
+      return;
+    }
+    
+    // Calculate sum: own time of each unique ancestor (counted once) plus own time
+    const { sum, variance, assumedIds } = sumPendingTimes(index.getPendingAncestors(nodeId), index, estimator);
+    
+    if (sum > 0 || nodeMin > 0) {
+      cumulativeTimes.set(nodeId, {
+        sum,
+        min: nodeMin,
+        sumVariance: variance,
+        minVariance: varianceMemo.get(nodeId),
+        assumedIds,
+        isAssumed: estimator.assumed.has(nodeId),
+      });
+    }
   });
   
-  return visited;
+  // Combined estimate for the pending targets
+  const isBlocked = targetNodes.some(target => hasInvalidAncestor(target.id, index, invalidCache, estimator));
+  if (isBlocked) {
+    cumulativeTimes.set(COMBINED_TIME_KEY, { sum: null, min: null, showQuestionMark: true });
+  } else {
+    const { sum, variance, assumedIds } = sumPendingTimes(pathNodes, index, estimator);
+    const targetMins = targetNodes.map(target => calculateMinTime(target.id, index, minMemo, varianceMemo, estimator));
+    const min = Math.max(...targetMins);
+    const longestTarget = targetNodes[targetMins.indexOf(min)];
+    cumulativeTimes.set(COMBINED_TIME_KEY, {
+      sum,
+      min,
+      sumVariance: variance,
+      minVariance: varianceMemo.get(longestTarget.id),
+      assumedIds,
+    });
+  }
+  
+  return cumulativeTimes;
+};
+
+// Share of each impact in the frontier score (see FRONTIER RANKING)
+export const FRONTIER_RANK_WEIGHTS = {
+  critical: 0.5,
+  downstream: 0.3,
+  unblocks: 0.2,
 };
 
 /**
- * Calculate cumulative time estimates for all nodes in the dependency path
- * @param {string} selectedNodeId - The target node
- * @param {Set} frontierTasks - Set of frontier task IDs (for display, not calculation)
+ * Rank the frontier tasks of the selected goal(s) by downstream impact
+ * @param {string|Iterable} targets - The target node ID, or a set of target IDs
+ * @param {Set} frontierTasks - Frontier task IDs of those targets
  * @param {Array} nodes - All nodes
  * @param {Array} edges - All edges
- * @returns {Map} Map of nodeId -> { sum: days, min: days, showQuestionMark?: boolean }
+ * @param {Object} units - Project settings (conversion rules, assumed estimates, calibration)
+ * @returns {Map} Map of frontierId -> { rank, score, critical, unblocks, downstream }
+ *   (rank 1 is the best place to start; critical and downstream in days)
  */
-export const calculateCumulativeTimes = (selectedNodeId, frontierTasks, nodes, edges) => {
-  if (!selectedNodeId) {
-    return new Map();
+export const rankFrontierTasks = (targets, frontierTasks, nodes, edges, units) => {
+  const ranking = new Map();
+  if (!targets || frontierTasks.size === 0) {
+    return ranking;
   }
   
-  const selectedNode = nodes.find(n => n.id === selectedNodeId);
-  if (!selectedNode) {
-    return new Map();
-  }
+  const index = getGraphIndex(nodes, edges);
+  const estimator = createEstimator(nodes, units);
+  const isPending = (node) => node && node.data.status !== 'done' && node.data.status !== 'someday';
+  const targetIds = (typeof targets === 'string' ? [targets] : [...targets])
+    .filter(id => isPending(index.nodeById.get(id)));
+  const pathNodes = new Set();
+  targetIds.forEach(id => index.getPendingAncestors(id).forEach(ancestorId => pathNodes.add(ancestorId)));
   
-  // Don't show time labels for completed or someday nodes
-  if (selectedNode.data.status === 'done' || selectedNode.data.status === 'someday') {
-    return new Map();
-  }
+  // ↓ to the slowest target (null if blocked)
+  const minMemo = new Map();
+  const varianceMemo = new Map();
+  const times = targetIds.map(id => calculateMinTime(id, index, minMemo, varianceMemo, estimator));
+  const longestChain = times.some(time => time === null) ? null : Math.max(0, ...times);
   
-  // Find all unique ancestors by backtracing from selected node
-  const allAncestors = findAllAncestors(selectedNodeId, nodes, edges);
-  allAncestors.delete(selectedNodeId); // Remove selected node itself
+  // ↓ again with one task taking no time: only the task and what depends on it change,
+  // so every other min time is reused from the pass above
+  const getLongestChainWithout = (skippedId, dependents) => {
+    const skipping = {
+      ...estimator,
+      getEstimate: (node) => (node.id === skippedId ? { expected: 0, variance: 0 } : estimator.getEstimate(node)),
+    };
+    const memo = new Map(minMemo);
+    [skippedId, ...dependents].forEach(id => memo.delete(id));
+    const skippedTimes = targetIds.map(id => calculateMinTime(id, index, memo, new Map(varianceMemo), skipping));
+    return Math.max(0, ...skippedTimes);
+  };
   
-  const cumulativeTimes = new Map();
-  const invalidCache = new Map();
+  const impacts = [...frontierTasks].map(id => {
+    const dependents = [...pathNodes].filter(pathId => pathId !== id && index.getPendingAncestors(pathId).has(id));
+    const unblocks = (index.children.get(id) || []).filter(childId => (
+      pathNodes.has(childId) && (index.parents.get(childId) || [])
+        .every(parentId => parentId === id || !isPending(index.nodeById.get(parentId)))
+    )).length;
+    const downstream = dependents.reduce((total, dependentId) => {
+      const node = index.nodeById.get(dependentId);
+      return total + (estimator.isEstimated(node) ? estimator.getEstimate(node).expected : 0);
+    }, 0);
+    const critical = longestChain === null ? 0 : Math.max(0, longestChain - getLongestChainWithout(id, dependents));
+    return { id, critical, unblocks, downstream };
+  });
   
-  // Calculate min time for all nodes using memoization
-  const minMemo = new Map();
+  // Each part relative to the best frontier task, so units don't matter
+  const best = {};
+  Object.keys(FRONTIER_RANK_WEIGHTS).forEach(key => {
+    best[key] = Math.max(...impacts.map(impact => impact[key]));
+  });
+  impacts.forEach(impact => {
+    impact.score = Object.entries(FRONTIER_RANK_WEIGHTS).reduce((score, [key, weight]) => (
+      best[key] > 0 ? score + weight * impact[key] / best[key] : score
+    ), 0);
+  });
   
-  // If selected node has no estimated time, mark it with question mark
-  if (!selectedNode.data.estimatedTime) {
-    cumulativeTimes.set(selectedNodeId, { sum: null, min: null, showQuestionMark: true });
+  impacts
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ id, ...impact }, position) => ranking.set(id, { rank: position + 1, ...impact }));
+  return ranking;
+};
+
+/**
+ * Describe why a frontier task is ranked where it is
+ * @param {Object} impact - Ranking entry (see rankFrontierTasks)
+ * @param {Object} units - Project conversion rules (see getTimeUnits)
+ * @returns {string} e.g. "Shortens ↓ by 2 days · unblocks 1 task · 1 week of work depends on it"
+ */
+export const describeFrontierImpact = (impact, units) => {
+  const parts = [];
+  if (impact.critical > 0) parts.push(`Shortens ↓ by ${formatTime(impact.critical, units)}`);
+  if (impact.unblocks > 0) parts.push(`unblocks ${impact.unblocks} ${impact.unblocks === 1 ? 'task' : 'tasks'}`);
+  if (impact.downstream > 0) parts.push(`${formatTime(impact.downstream, units)} of work depends on it`);
+  if (parts.length === 0) return 'Nothing else on the path waits for this task';
+  const text = parts.join(' · ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+// Floats below this are treated as zero (guards against floating point noise)
+const FLOAT_EPSILON = 1e-9;
+
+/**
+ * Backward pass: latest finish of a task without delaying the goal, with memoization
+ * @param {string} nodeId - The node ID to calculate
+ * @param {string} goalId - The selected goal node
+ * @param {Map} schedule - Forward-pass schedule (path tasks only)
+ * @param {Object} index - Graph index (see getGraphIndex)
+ * @param {Map} memo - Memoization map
+ * @returns {number} Latest finish offset in working days
+ */
+const calculateLateFinish = (nodeId, goalId, schedule, index, memo) => {
+  if (memo.has(nodeId)) {
+    return memo.get(nodeId);
   }
   
-  // Check if selected node has invalid ancestor
-  const selectedNodeIsValid = !hasInvalidAncestor(selectedNodeId, nodes, edges, new Set(), invalidCache);
+  // The goal must finish at its earliest finish; nothing after it matters
+  if (nodeId === goalId) {
+    const goalFinish = schedule.get(goalId).earlyFinish;
+    memo.set(nodeId, goalFinish);
+    return goalFinish;
+  }
   
-  if (selectedNodeIsValid) {
-    // Calculate times for selected node
-    const totalMin = calculateMinTime(selectedNodeId, nodes, edges, minMemo);
-    
-    if (totalMin !== null) {
-      // Calculate sum: sum of own time of each unique ancestor (counted once)
-      let totalSum = 0;
-      allAncestors.forEach(ancestorId => {
-        const node = nodes.find(n => n.id === ancestorId);
-        if (node && node.data.estimatedTime) {
-          // Done/someday nodes already stopped the search, so we only have pending nodes here
-          if (node.data.status !== 'done' && node.data.status !== 'someday') {
-            totalSum += convertToDays(node.data.estimatedTime, node.data.estimatedTimeUnit);
-          }
-        }
-      });
-      
-      // Add selected node's own time to sum
-      if (selectedNode.data.estimatedTime) {
-        totalSum += convertToDays(selectedNode.data.estimatedTime, selectedNode.data.estimatedTimeUnit);
-      }
-      
-      // Set the selected node's cumulative time
-      if (totalSum > 0 || totalMin > 0) {
-        cumulativeTimes.set(selectedNodeId, { sum: totalSum, min: totalMin });
-      }
+  // Latest finish is the tightest bound set by successors on the path: their latest
+  // start (finish-to-start), latest start plus own duration (start-to-start) or latest
+  // finish (finish-to-finish), less the lag
+  let lateFinish = Infinity;
+  (index.outgoing.get(nodeId) || []).forEach(dependency => {
+    if (!schedule.has(dependency.target)) return;
+    const successorLateFinish = calculateLateFinish(dependency.target, goalId, schedule, index, memo);
+    const successorLateStart = successorLateFinish - schedule.get(dependency.target).duration;
+    let bound;
+    switch (dependency.type) {
+      case 'SS':
+        bound = successorLateStart + schedule.get(nodeId).duration;
+        break;
+      case 'FF':
+        bound = successorLateFinish;
+        break;
+      case 'FS':
+      default:
+        bound = successorLateStart;
     }
+    lateFinish = Math.min(lateFinish, bound - dependency.lag);
+  });
+  
+  memo.set(nodeId, lateFinish);
+  return lateFinish;
+};
+
+/**
+ * Forward and backward pass over every task on the path to the selected node.
+ * Offsets are in working days relative to the project start; done/someday tasks are
+ * complete and tasks behind a missing estimate cannot be scheduled, so both are omitted.
+ * Late dates and float are only available when the selected node itself can be scheduled.
+ * @param {string} selectedNodeId - The target node
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @param {Object} units - Project settings (conversion rules and assumed estimates)
+ * @returns {Map} Map of nodeId -> { earlyStart, earlyFinish, duration, assumed, factor, lateStart?, lateFinish?, totalFloat?, isCritical? }
+ *   (factor is the calibration multiplier applied to the task's own estimate)
+ */
+export const calculateSchedule = (selectedNodeId, nodes, edges, units) => {
+  const schedule = new Map();
+  if (!selectedNodeId) {
+    return schedule;
   }
   
-  // Calculate times for all ancestors in the path
-  allAncestors.forEach(ancestorId => {
-    const node = nodes.find(n => n.id === ancestorId);
+  const index = getGraphIndex(nodes, edges);
+  const estimator = createEstimator(nodes, units);
+  const pathNodes = index.getPendingAncestors(selectedNodeId);
+  const invalidCache = new Map();
+  const minMemo = new Map();
+  const varianceMemo = new Map();
+  
+  // Forward pass
+  pathNodes.forEach(nodeId => {
+    const node = index.nodeById.get(nodeId);
     if (!node || node.data.status === 'done' || node.data.status === 'someday') {
       return;
     }
     
-    // If ancestor has no estimated time, mark it with question mark
-    if (!node.data.estimatedTime) {
-      cumulativeTimes.set(ancestorId, { sum: null, min: null, showQuestionMark: true });
+    if (hasInvalidAncestor(nodeId, index, invalidCache, estimator)) {
       return;
     }
     
-    // Check if this ancestor has invalid ancestors
-    if (hasInvalidAncestor(ancestorId, nodes, edges, new Set(), invalidCache)) {
-      return; // Skip ancestors with invalid time
-    }
-    
-    // Calculate min time for this ancestor (will use memo if available)
-    const ancestorMin = calculateMinTime(ancestorId, nodes, edges, minMemo);
-    
-    // Skip if min time is invalid
-    if (ancestorMin === null) {
+    // Earliest finish is exactly the critical-path (min) time up to and including this task
+    const earlyFinish = calculateMinTime(nodeId, index, minMemo, varianceMemo, estimator);
+    if (earlyFinish === null) {
       return;
     }
     
-    // Find unique ancestors of this ancestor
-    const ancestorAncestors = findAllAncestors(ancestorId, nodes, edges);
-    ancestorAncestors.delete(ancestorId);
-    
-    // Calculate sum for this ancestor
-    let ancestorSum = 0;
-    ancestorAncestors.forEach(id => {
-      const n = nodes.find(node => node.id === id);
-      if (n && n.data.estimatedTime && n.data.status !== 'done' && n.data.status !== 'someday') {
-        ancestorSum += convertToDays(n.data.estimatedTime, n.data.estimatedTimeUnit);
-      }
+    const duration = estimator.getEstimate(node).expected;
+    schedule.set(nodeId, {
+      earlyStart: earlyFinish - duration,
+      earlyFinish,
+      duration,
+      assumed: estimator.assumed.has(nodeId),
+      factor: estimator.getFactor(node),
     });
-    
-    // Add own time
-    if (node.data.estimatedTime) {
-      ancestorSum += convertToDays(node.data.estimatedTime, node.data.estimatedTimeUnit);
+  });
+  
+  // Backward pass (needs the goal's finish as the anchor)
+  if (!schedule.has(selectedNodeId)) {
+    return schedule;
+  }
+  
+  const lateMemo = new Map();
+  schedule.forEach((entry, nodeId) => {
+    const lateFinish = calculateLateFinish(nodeId, selectedNodeId, schedule, index, lateMemo);
+    const totalFloat = lateFinish - entry.earlyFinish;
+    entry.lateFinish = lateFinish;
+    entry.lateStart = lateFinish - entry.duration;
+    entry.totalFloat = totalFloat < FLOAT_EPSILON ? 0 : totalFloat;
+    entry.isCritical = entry.totalFloat === 0;
+  });
+  
+  return schedule;
+};
+
+/**
+ * Find edges on the critical path: both ends critical and the dependency is tight
+ * (e.g. for finish-to-start, the successor starts exactly when the predecessor
+ * finishes plus the lag); soft links are never critical
+ * @param {Map} schedule - Result of calculateSchedule
+ * @param {Array} edges - All edges
+ * @returns {Set} Set of critical edge IDs
+ */
+export const findCriticalEdges = (schedule, edges) => {
+  const criticalEdges = new Set();
+  edges.forEach(edge => {
+    const source = schedule.get(edge.source);
+    const target = schedule.get(edge.target);
+    const { type, soft, lag } = getDependency(edge);
+    if (soft || !source?.isCritical || !target?.isCritical) {
+      return;
     }
-    
-    if (ancestorSum > 0 || ancestorMin > 0) {
-      cumulativeTimes.set(ancestorId, { sum: ancestorSum, min: ancestorMin });
+    const gap = {
+      FS: target.earlyStart - source.earlyFinish,
+      SS: target.earlyStart - source.earlyStart,
+      FF: target.earlyFinish - source.earlyFinish,
+    }[type] - lag;
+    if (Math.abs(gap) < FLOAT_EPSILON) {
+      criticalEdges.add(edge.id);
     }
   });
+  return criticalEdges;
+};
+
+/**
+ * Forward pass over every pending task in the project (no goal required)
+ * Done/someday tasks are omitted and finish at 0; tasks without an estimate take no time
+ * (or their assumed estimate) and mark everything after them as blocked (its dates are
+ * optimistic) unless an estimate was assumed.
+ * Variance follows the parent chain that determines each start, as for Min.
+ * @param {Array} nodes - All nodes
+ * @param {Array} edges - All edges
+ * @param {Object} units - Project settings (conversion rules, assumed estimates, calibration)
+ * @returns {Map} Map of nodeId -> { earlyStart, earlyFinish, duration, variance, estimated, assumed, blocked, factor }
+ *   (factor is the calibration multiplier applied to the task's own estimate)
+ */
+export const calculateProjectSchedule = (nodes, edges, units) => {
+  const index = getGraphIndex(nodes, edges);
+  const estimator = createEstimator(nodes, units);
+  const pending = new Map(nodes
+    .filter(node => node.data.status !== 'done' && node.data.status !== 'someday')
+    .map(node => [node.id, node]));
+  const schedule = new Map();
+  const visiting = new Set();
   
-  return cumulativeTimes;
+  const visit = (nodeId) => {
+    if (schedule.has(nodeId)) {
+      return schedule.get(nodeId);
+    }
+    // Complete tasks (and edges closing a cycle) don't delay anything
+    if (!pending.has(nodeId) || visiting.has(nodeId)) {
+      return null;
+    }
+    
+    visiting.add(nodeId);
+    const dependencies = index.incoming.get(nodeId) || [];
+    const parentEntries = new Map();
+    dependencies.forEach(dependency => {
+      const parentEntry = visit(dependency.source);
+      if (parentEntry) parentEntries.set(dependency.source, parentEntry);
+    });
+    visiting.delete(nodeId);
+    
+    const node = pending.get(nodeId);
+    const estimated = isEstimated(node);
+    const assumed = estimator.assumed.has(nodeId);
+    const { expected: duration, variance } = estimator.isEstimated(node) ? estimator.getEstimate(node) : { expected: 0, variance: 0 };
+    const { start: earlyStart, driver } = getEarliestStart(dependencies, (parentId) => {
+      const parentEntry = parentEntries.get(parentId);
+      return parentEntry ? { start: parentEntry.earlyStart, finish: parentEntry.earlyFinish } : null;
+    }, duration);
+    const criticalParent = driver ? parentEntries.get(driver.source) : null;
+    const entry = {
+      earlyStart,
+      earlyFinish: earlyStart + duration,
+      duration,
+      variance: variance + (criticalParent ? criticalParent.variance : 0),
+      estimated,
+      assumed,
+      blocked: (!estimated && !assumed) || [...parentEntries.values()].some(parent => parent.blocked),
+      factor: estimator.getFactor(node),
+    };
+    schedule.set(nodeId, entry);
+    return entry;
+  };
+  
+  // Dependencies first, so parents are already scheduled when a task is visited
+  index.topologicalOrder.forEach(nodeId => visit(nodeId));
+  return schedule;
 };
@@ -0,0 +1,15 @@
+/**
+ * Forecast Worker
+ *
+ * Runs the Monte Carlo simulation off the main thread so large graphs don't freeze
+ * the canvas. Each request carries an id; the reply echoes it so the caller can
+ * ignore results for models that have since changed.
+ */
+
+import { runSimulation, summarizeSimulation } from '../utils/monteCarloUtils';
+
+self.onmessage = (event) => {
+  const { requestId, model, iterations } = event.data;
+  const summary = summarizeSimulation(runSimulation(model, iterations));
+  self.postMessage({ requestId, summary });
+};